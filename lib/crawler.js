@@ -5,8 +5,8 @@ const debug = require('debug')('crawler:crawler');
 const moment = require('moment');
 const Q = require('q');
 const Request = require('./request');
-const URL = require('url');
 const uuid = require('node-uuid');
+const VisitorMap = require('./visitorMap');
 
 debug.log = console.info.bind(console);
 
@@ -25,6 +25,7 @@ class Crawler {
     this.counter = 0;
     this.counterRollover = Number.parseInt('zzz', 36);
     this.deferring = false;
+    this._registerMaps();
   }
 
   _reconfigure(current, changes) {
@@ -34,6 +35,19 @@ class Crawler {
       debug('orgList changed');
       this.options.orgList = orgList.value.map(element => element.toLowerCase());
     }
+    if (changes.find(patch => patch.path.startsWith('/maps'))) {
+      debug('maps changed');
+      this._registerMaps();
+    }
+  }
+
+  _registerMaps() {
+    // a bad map definition should not take down the crawler. Report it and carry on with the previous maps
+    try {
+      VisitorMap.registerScenarios(this.options.maps || {});
+    } catch (error) {
+      this.logger.error(error);
+    }
   }
 
   run(context) {
@@ -436,9 +450,11 @@ class Crawler {
       return request;
     }
     return this._logStartEnd('processing', request, () => {
-      request.document = this.processor.process(request);
-      debug(`_processDocument(${loopName}:${request.toUniqueString()}): exit (success)`);
-      return request;
+      return Q(this.processor.process(request)).then(document => {
+        request.document = document;
+        debug(`_processDocument(${loopName}:${request.toUniqueString()}): exit (success)`);
+        return request;
+      });
     });
   }
 
@@ -584,9 +600,8 @@ class Crawler {
     }
     const type = request.type;
     if (['repo', 'repos', 'org', 'update_events', 'clones', 'paths', 'referrers', 'views'].includes(type) || type.endsWith('Event')) {
-      const parsed = URL.parse(request.url);
-      const org = parsed.path.split('/')[2];
-      return !this.options.orgList.includes(org.toLowerCase());
+      const org = request.getOrg();
+      return !org || !this.options.orgList.includes(org);
     }
     return this._testRegex(request);
   }
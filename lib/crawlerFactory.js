@@ -3,9 +3,12 @@
 
 const mockInsights = require('../providers/logger/mockInsights');
 const LimitedTokenFactory = require('../providers/fetcher/limitedTokenFactory');
+const GitHubAppTokenFactory = require('../providers/fetcher/githubAppTokenFactory');
 const TokenFactory = require('../providers/fetcher/tokenFactory');
 const ComputeLimiter = require('../providers/limiting/computeLimiter');
 const InMemoryRateLimiter = require('../providers/limiting/inmemoryRateLimiter');
+const InMemoryBenchStore = require('../providers/limiting/inmemoryBenchStore');
+const RedisBenchStore = require('../providers/limiting/redisBenchStore');
 const Amqp10Queue = require('../providers/queuing/amqp10Queue');
 const AttenuatedQueue = require('../providers/queuing/attenuatedQueue');
 const InMemoryCrawlQueue = require('../providers/queuing/inmemorycrawlqueue');
@@ -30,6 +33,7 @@ const Crawler = require('../lib/crawler');
 const CrawlerService = require('../lib/crawlerService');
 const fs = require('fs');
 const GitHubFetcher = require('../providers/fetcher/githubFetcher');
+const GraphQLFetcher = require('../providers/fetcher/graphQLFetcher');
 const GitHubProcessor = require('../providers/fetcher/githubProcessor');
 const ip = require('ip');
 const moment = require('moment');
@@ -65,7 +69,19 @@ class CrawlerFactory {
         promiseTrace: false,
         requeueDelay: 5000,
         orgList: CrawlerFactory.loadOrgs(),
-        deadletterPolicy: 'always' // Another option: excludeNotFound
+        maps: CrawlerFactory.loadMaps(),  // user-defined traversal scenarios, see VisitorMap.registerScenarios
+        deadletterPolicy: 'always', // Another option: excludeNotFound
+        maxPlanRequests: 5000       // most requests a plan's estimate walks, see TraversalPlanner
+      },
+      processor: {
+        patches: {
+          retention: 'none',      // none, inline or separate (in a commit_patch document)
+          maxSize: 10 * 1024      // characters. Longer patches are always dropped. 0 for no limit
+        },
+        emails: {
+          search: false,          // look up unresolved commit emails with the (rate limited) search API
+          maxCommits: 100         // commits remembered per unresolved email for backfill once it is resolved
+        }
       },
       fetcher: {
         tokenLowerBound: 50,
@@ -74,10 +90,21 @@ class CrawlerFactory {
         callCapWindow: 1,       // seconds
         callCapLimit: 30,       // calls
         computeLimitStore: 'memory',
+        benchStore: 'memory',   // where token bench times are kept, 'redis' shares them across instances
         computeWindow: 15,      // seconds
         computeLimit: 15000,    // milliseconds
         baselineFrequency: 60,  // seconds
-        deferDelay: 500
+        deferDelay: 500,
+        requiredOrgTokens: [],  // orgs whose resources must only be fetched with their org:<login> tokens
+        quarantineThreshold: 3, // consecutive 401 (Unauthorized) responses after which a token is no longer used
+        graphQLUrl: 'https://api.github.com/graphql',
+        typeFetchers: {},       // type -> 'rest' or 'graphql'
+        appTraits: ['admin', 'public'], // traits of GitHub App installation tokens (when CRAWLER_GITHUB_APP_ID is set)
+        appInstallationTraits: {},      // org login -> traits for that org's installation token, overriding appTraits
+        appRefreshMargin: 5 * 60 * 1000, // milliseconds before expiry to refresh installation tokens
+        appRetryDelay: 60000,   // milliseconds to wait before retrying a failed installation token refresh
+        appPendingDelay: 1000,  // milliseconds requests wait for the first installation tokens
+        appApiUrl: 'https://api.github.com'
       },
       queuing: {
         provider: config.get('CRAWLER_QUEUE_PROVIDER') || 'amqp10',
@@ -91,7 +118,11 @@ class CrawlerFactory {
         events: {
           provider: config.get('CRAWLER_EVENT_PROVIDER') || 'webhook',
           topic: config.get('CRAWLER_EVENT_TOPIC_NAME') || 'crawler',
-          queueName: config.get('CRAWLER_EVENT_QUEUE_NAME') || 'crawler'
+          queueName: config.get('CRAWLER_EVENT_QUEUE_NAME') || 'crawler',
+          checks: {
+            sampleRate: 0,          // fraction of check_run/check_suite webhook deliveries to queue
+            actions: ['completed']  // only queue check events with these actions. Empty for all
+          }
         },
         attenuation: {
           ttl: 3000
@@ -124,7 +155,7 @@ class CrawlerFactory {
     factoryLogger.info('appInitStart');
     const crawlerName = config.get('CRAWLER_NAME') || 'crawler';
     const optionsProvider = name === 'InMemory' ? 'memory' : (config.get('CRAWLER_OPTIONS_PROVIDER') || 'memory');
-    const subsystemNames = ['crawler', 'fetcher', 'queuing', 'storage', 'locker'];
+    const subsystemNames = ['crawler', 'processor', 'fetcher', 'queuing', 'storage', 'locker'];
     const crawlerPromise = CrawlerFactory.createRefreshingOptions(crawlerName, subsystemNames, optionsProvider).then(options => {
       factoryLogger.info(`creating refreshingOption completed`);
       name = name || 'InMemory';
@@ -149,6 +180,7 @@ class CrawlerFactory {
     factoryLogger.info(`create in memory options`);
     options.crawler.count = 1;
     options.fetcher.computeLimitStore = 'memory';
+    options.fetcher.benchStore = 'memory';
     options.fetcher.metricsStore = null;
     delete options.queuing.events.provider;
     options.queuing.provider = 'memory';
@@ -179,7 +211,7 @@ class CrawlerFactory {
     deadletters = deadletters || CrawlerFactory.createDeadletterStore(options.storage);
     locker = locker || CrawlerFactory.createLocker(options.locker);
     fetcher = fetcher || CrawlerFactory.createGitHubFetcher(store, options.fetcher);
-    processor = processor || new GitHubProcessor(store);
+    processor = processor || new GitHubProcessor(store, options.processor);
     const result = new Crawler(queues, store, deadletters, locker, fetcher, processor, options.crawler);
     result.initialize = CrawlerFactory._initialize.bind(result);
     return result;
@@ -255,16 +287,45 @@ class CrawlerFactory {
     const requestor = CrawlerFactory.createRequestor();
     const tokenFactory = CrawlerFactory.createTokenFactory(options);
     const limiter = CrawlerFactory.createComputeLimiter(options);
-    return new GitHubFetcher(requestor, store, tokenFactory, limiter, options);
+    const graphQLFetcher = new GraphQLFetcher(request, options);
+    return new GitHubFetcher(requestor, store, tokenFactory, limiter, options, graphQLFetcher);
   }
 
   static createTokenFactory(options) {
     factoryLogger.info('create token factory');
-    const factory = new TokenFactory(config.get('CRAWLER_GITHUB_TOKENS'), options);
+    const appId = config.get('CRAWLER_GITHUB_APP_ID');
+    const factory = appId
+      ? CrawlerFactory.createGitHubAppTokenFactory(appId, options)
+      : new TokenFactory(config.get('CRAWLER_GITHUB_TOKENS'), options);
+    factory.setBenchStore(CrawlerFactory.createBenchStore(options)).catch(error => options.logger.error(error));
     const limiter = CrawlerFactory.createTokenLimiter(options);
     return new LimitedTokenFactory(factory, limiter, options);
   }
 
+  static createBenchStore(options) {
+    factoryLogger.info('create token bench store', { benchStore: options.benchStore });
+    if (options.benchStore !== 'redis') {
+      return new InMemoryBenchStore(options);
+    }
+    const redisClient = CrawlerFactory.getRedisClient(options.logger);
+    // subscribing takes over a redis connection so use a dedicated one. Duplicates do not get the client's listeners
+    // and an unhandled connection error would take down the crawler
+    const subscriber = redisClient.duplicate();
+    subscriber.on('error', error => options.logger.info(`Redis subscriber error: ${error}`));
+    subscriber.on('reconnecting', properties => options.logger.info(`Redis subscriber reconnecting: ${JSON.stringify(properties)}`));
+    const crawlerName = config.get('CRAWLER_NAME') || 'crawler';
+    return new RedisBenchStore(crawlerName, redisClient, subscriber, options);
+  }
+
+  static createGitHubAppTokenFactory(appId, options) {
+    factoryLogger.info(`create GitHub App token factory for app ${appId}`);
+    // keys given in a single line environment variable have their newlines escaped
+    const privateKey = (config.get('CRAWLER_GITHUB_APP_KEY') || '').replace(/\\n/g, '\n');
+    const factory = new GitHubAppTokenFactory(appId, privateKey, request, config.get('CRAWLER_GITHUB_TOKENS'), options);
+    factory.start();
+    return factory;
+  }
+
   static createRequestor() {
     factoryLogger.info('create requestor');
     return requestor.defaults({
@@ -734,6 +795,20 @@ class CrawlerFactory {
     return orgList;
   }
 
+  static loadMaps() {
+    const path = config.get('CRAWLER_MAPS_FILE');
+    if (!path || !fs.existsSync(path)) {
+      return {};
+    }
+    // a bad maps file should not stop the crawler from starting. Report it and run with the built-in maps
+    try {
+      return JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (error) {
+      factoryLogger.error(`Could not load maps from ${path}, using the built-in maps. ${error.message}`);
+      return {};
+    }
+  }
+
   static _loadLines(path) {
     if (!path || !fs.existsSync(path)) {
       return [];
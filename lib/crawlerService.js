@@ -3,6 +3,7 @@
 
 const Q = require('q');
 const Request = require('./request');
+const TraversalPlanner = require('./traversalPlanner');
 
 class CrawlerService {
   constructor(crawler, options) {
@@ -72,6 +73,21 @@ class CrawlerService {
     return this.crawler.queue(requests, name);
   }
 
+  /**
+   * Explain what the given request's policy will walk and, if the request has a url, estimate the cost of crawling it.
+   */
+  plan(request, maxRequests) {
+    const planner = new TraversalPlanner(this.crawler.store, this.crawler.processor, { maxRequests: this.options.crawler.maxPlanRequests });
+    const result = { policy: request.policy.getShortForm(), map: planner.explain(request.policy) };
+    if (!request.url) {
+      return Q(result);
+    }
+    return planner.estimate(request, maxRequests).then(estimate => {
+      result.estimate = estimate;
+      return result;
+    });
+  }
+
   flushQueue(name) {
     const queue = this.crawler.queues.getQueue(name);
     if (!queue) {
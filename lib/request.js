@@ -2,6 +2,7 @@
 // Licensed under the MIT License.
 
 const Policy = require('./traversalPolicy');
+const URL = require('url');
 
 /**
  * Requests describe a resource to capture and process as well as the context for that processing.
@@ -32,8 +33,7 @@ class Request {
     if (typeof policyOrSpec !== 'string') {
       return policyOrSpec;
     }
-    policyOrSpec = policyOrSpec.includes(':') ? policyOrSpec : `${policyOrSpec}:${request.type}`;
-    return Policy.getPolicy(policyOrSpec);
+    return Policy.getPolicy(policyOrSpec, request.type);
   }
 
   // Setup some internal context and open this request for handling.
@@ -54,8 +54,7 @@ class Request {
     }
     if (typeof this.policy === 'string') {
       // if the policy spec does not include a map, default to using the type of this request as the map name
-      const spec = this.policy.includes(':') ? this.policy : `${this.policy}:${this.type}`;
-      const policy = Policy.getPolicy(spec);
+      const policy = Policy.getPolicy(this.policy, this.type);
       if (!policy) {
         return this.markDead('Bogus', 'Unable to resolve policy');
       }
@@ -103,6 +102,12 @@ class Request {
     this.linkResource('self', this.getChildQualifier(key));
   }
 
+  // The org (or repo owner or user) the requested resource belongs to, if any. Used to filter to and route by org.
+  getOrg() {
+    const segments = URL.parse(this.url).pathname.split('/');
+    return ['repos', 'orgs', 'users'].includes(segments[1]) && segments[2] ? segments[2].toLowerCase() : null;
+  }
+
   getRootQualifier() {
     return `urn:${this.type}:${this.document.id}`;
   }
@@ -139,13 +144,21 @@ class Request {
     links[name] = { href: href, type: 'relation' };
   }
 
+  isTooDeep() {
+    return !!this.policy && typeof this.policy.isTooDeep === 'function' && this.policy.isTooDeep();
+  }
+
   getNextPolicy(name) {
     return this.policy.getNextPolicy(name);
   }
 
   queueRequests(requests, name = null) {
     requests = Array.isArray(requests) ? requests : [requests];
-    const toQueue = requests.filter(request => !this.hasSeen(request));
+    // references beyond the depth limit of their traversal policy are still linked, just not walked
+    const toQueue = requests.filter(request => !this.hasSeen(request) && !request.isTooDeep());
+    if (toQueue.length === 0) {
+      return;
+    }
     this.track(this.crawler.queue(toQueue, name));
   }
 
@@ -161,6 +174,9 @@ class Request {
     if (pruneRelation) {
       delete newRequest.context.relation;
     }
+    // the state of a collection walk belongs to the pages of that collection, not to the things they reference
+    delete newRequest.context.lastCrawledAt;
+    delete newRequest.context.walk;
     this.queueRequests(newRequest);
   }
 
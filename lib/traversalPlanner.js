@@ -0,0 +1,173 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const extend = require('extend');
+const Q = require('q');
+
+const DEFAULT_MAX_REQUESTS = 5000;
+
+/**
+ * Explains what a traversal policy will walk and, given a starting request, estimates what crawling it would cost.
+ *
+ * The explanation is the policy's visitor map expanded into a tree. Each node names the reference being followed,
+ * the entity type found there and how far the walk goes:
+ *   * entity -- the resource is fetched and the listed children are walked
+ *   * self -- the resource (or the elements of the collection/relation) is fetched but nothing below it
+ *   * pages -- the pages of the collection/relation are fetched but not their elements
+ *   * neighbors -- the resource and everything it references are fetched
+ * Nodes shared with another part of the tree are expanded once. Later occurrences point at it with `see`. Nodes at
+ * the policy's depth limit are walked as self. For a collection that still means fetching every element on each of
+ * its pages, a request each, just not what they reference. The root notes the policy's depth and page limits, if any.
+ *
+ * The estimate is a dry run over the store. Stored documents are processed as if they had all changed, without
+ * saving or queuing anything, to find the requests the crawl would make. Resources that are not in the store have
+ * not been crawled before so the walk cannot see below them. The numbers are an upper bound for what is stored
+ * and a lower bound for anything below a missing resource. The walk stops after maxRequests requests, never more
+ * than the planner's configured maxRequests (default 5000).
+ */
+class TraversalPlanner {
+
+  constructor(store, processor, options = {}) {
+    this.store = store;
+    // processors write to the store as they go (e.g., noting a completed crawl). Run the dry run on one that cannot
+    this.processor = processor ? new processor.constructor(readOnly(processor.store), processor.options) : processor;
+    this.options = options;
+  }
+
+  explain(policy) {
+    // the same node can be walked to different depths so remember where it was expanded for each depth
+    const seen = new Map();
+    const limited = typeof policy.depth === 'number';
+    const visit = (name, step, path, depth) => {
+      const result = { name: name };
+      if (typeof step === 'function') {
+        result.walk = 'neighbors';
+        return result;
+      }
+      if (Array.isArray(step)) {
+        result.walk = 'pages';
+        return result;
+      }
+      if (step._type) {
+        result.type = step._type;
+      }
+      const children = Object.getOwnPropertyNames(step).filter(key => key !== '_type');
+      if (children.length === 0 || (limited && depth <= 0)) {
+        result.walk = 'self';
+        return result;
+      }
+      result.walk = 'entity';
+      const expanded = seen.get(step) || new Map();
+      if (expanded.has(depth)) {
+        result.see = expanded.get(depth);
+        return result;
+      }
+      expanded.set(depth, path);
+      seen.set(step, expanded);
+      const childDepth = limited ? depth - 1 : null;
+      result.children = children.map(child => visit(child, step[child], path === '/' ? `/${child}` : `${path}/${child}`, childDepth));
+      return result;
+    };
+    const result = visit(policy.map.name, policy.getCurrentStep(), policy.map.path, limited ? policy.depth : null);
+    if (limited) {
+      result.depth = policy.depth;
+    }
+    if (typeof policy.pages === 'number') {
+      result.pages = policy.pages;
+    }
+    return result;
+  }
+
+  estimate(request, maxRequests = null) {
+    const limit = this.options.maxRequests || DEFAULT_MAX_REQUESTS;
+    if (maxRequests === null || maxRequests === undefined) {
+      maxRequests = limit;
+    }
+    if (!Number.isInteger(maxRequests) || maxRequests <= 0) {
+      return Q.reject(new Error(`maxRequests must be a positive integer: ${maxRequests}`));
+    }
+    maxRequests = Math.min(maxRequests, limit);
+    const result = { requests: 0, apiCalls: 0, stored: 0, missing: 0, errors: 0, truncated: false, types: {} };
+    const seen = new Set();
+    const pending = [request];
+    const next = () => {
+      if (pending.length === 0) {
+        return Q(result);
+      }
+      if (result.requests >= maxRequests) {
+        result.truncated = true;
+        return Q(result);
+      }
+      const current = pending.shift();
+      const key = `${current.type}@${current.url}`;
+      if (seen.has(key)) {
+        return next();
+      }
+      seen.add(key);
+      return this._dryRun(current, result).then(children => {
+        pending.push(...children);
+        return next();
+      });
+    };
+    return next();
+  }
+
+  _dryRun(request, result) {
+    const children = [];
+    const crawler = {
+      queue: requests => {
+        children.push(...requests);
+        return Q();
+      },
+      queues: { defer: () => { } },
+      storeDeadletter: () => Q(),
+      logger: { log: () => { } }
+    };
+    request.open(crawler);
+    if (request.shouldSkip()) {
+      return Q(children);
+    }
+    result.requests++;
+    result.types[request.type] = (result.types[request.type] || 0) + 1;
+    if (request.payload) {
+      // the content was carried along with the request so there is nothing to fetch
+      return Q(this._process(request, extend(true, {}, request.payload.body), null, children, result));
+    }
+    return this.store.get(request.type, request.context.cacheKey || request.url).then(document => document, () => null).then(stored => {
+      const policy = request.policy;
+      if (!stored) {
+        result.missing++;
+        if (policy.initialFetch(request) !== 'storage' || policy.shouldFetchMissing(request)) {
+          result.apiCalls++;
+        }
+        return children;
+      }
+      result.stored++;
+      const fresh = typeof policy.freshness === 'number' && !policy.isStale(stored);
+      if (policy.initialFetch(request) !== 'storage' && !fresh) {
+        result.apiCalls++;
+      }
+      const link = stored._metadata.headers ? stored._metadata.headers.link : null;
+      const document = stored.elements ? { elements: extend(true, [], stored.elements) } : extend(true, {}, stored);
+      return this._process(request, document, link, children, result);
+    });
+  }
+
+  _process(request, document, link, children, result) {
+    document._metadata = { links: {}, version: 0 };
+    request.document = document;
+    request.contentOrigin = 'origin';
+    request.response = { headers: link ? { link: link } : {} };
+    return Q.try(() => this.processor.process(request)).catch(() => result.errors++).then(() => children);
+  }
+}
+
+// A view of the store that reads through to it and ignores writes
+function readOnly(store) {
+  if (!store) {
+    return store;
+  }
+  return Object.assign(Object.create(store), { upsert: () => Q(), delete: () => Q() });
+}
+
+module.exports = TraversalPlanner;
@@ -15,6 +15,7 @@ Freshness --  How age of the resource, relative what we have seen/done before, f
   * N - process the resource if newer or if the stored copy is N days old
   * version - process the resource if the current stored doc's processing version is behind current
   * matchOrVersion - process the resource if stored and origin do not match or the stored processed version is out of date
+  * incremental - like match but collections are fetched with since= their last crawl time where GitHub supports it
 
 =============== Scenarios
 
@@ -48,11 +49,31 @@ Reprocess and Update -- Reprocess anything that is EITHER older version or out o
 * fetch = originStorage
 * freshness = matchOrVersion
 
+Incremental -- Like Update but collections that support it (e.g., issues, comments and commits) only fetch what has
+changed since the collection was last crawled.
+* fetch = mutables
+* freshness = incremental
+
+Limits -- Optionally bound how far a traversal spreads beyond what the map allows. Useful for sampling crawls.
+  * depth=N - only follow references to other entities and collections N levels below the starting entity
+  * pages=N - only fetch the first N pages of each collection
+
+Unchanged collections -- Optionally stop at collections whose first page is unchanged at origin (i.e., a 304 on its
+etag) rather than walking their elements. Only for match and incremental freshness and only for collections that can be
+fetched most recently updated first (issues and repos) so an unchanged first page means nothing changed.
+  * skipUnchanged
+
 A policy spec is of the form
-  <policyName>[:mapSpec]
+  <policyName>[:days][:depth=N][:pages=N][:skipUnchanged][:mapSpec]
   mapSpec :: [scenario/]mapName[@p/a/t/h]
 where
   * policyName identifies one of the well-known, canonical policies
+  * days optionally sets a numeric freshness. For example, refresh:7 updates anything not processed in the last week
+  * depth and pages optionally limit the traversal. Elements are walked at the depth of their collection so a
+    collection within the limit still costs a request per element on each of its pages. For example,
+    default:depth=2:pages=1:org fetches the first page of an org's repos, each of those repos, the first page of each
+    of their collections and every element on those pages (e.g., each issue) but nothing those elements reference
+  * skipUnchanged optionally stops at unchanged collections. For example, refresh:skipUnchanged:repo
   * mapSpec optionally identifies the traversal map to use. If omitted, the request.type-based map from the
     default traversal scenario is used
   * if supplied, the mapSpec identifies the map (within an optional scenario) and a path-based starting point in the map.
@@ -88,21 +109,40 @@ class TraversalPolicy {
   }
 
   /**
-   * A policy spec has the following form:  <policyName>[:<[scenario/]mapName[@path]].  That means a spec can be just
+   * A policy spec has the following form:  <policyName>[:days][:<[scenario/]mapName[@path]].  That means a spec can be just
    * a policy name (e.g., default, reprocess, ...) in which case the map is selected from the default scenario,
-   * the type of the current request is used as the mapName and the path is /.  You can also supply these values
-   * and do things like 'default:self' which is a policy that only processes the referenced entity itself and
-   * none of the entities it references.
+   * the given default map (typically the type of the current request) is used as the mapName and the path is /.  You can
+   * also supply these values and do things like 'default:self' which is a policy that only processes the referenced
+   * entity itself and none of the entities it references. A number of days overrides the policy's freshness so
+   * 'refresh:7:repo' updates the repo and anything below it that has not been processed in the last 7 days. Depth and
+   * page limits can be given in the same way (e.g., 'default:depth=1:pages=2:org').
    */
-  static getPolicy(policySpec) {
-    const [policyName, mapSpec] = policySpec.split(':');
-    const map = TraversalPolicy._resolveMapSpec(mapSpec);
+  static getPolicy(policySpec, defaultMap = null) {
+    const parts = policySpec.split(':');
+    const policyName = parts[0];
+    const days = /^\d+$/.test(parts[1]) ? parseInt(parts.splice(1, 1)[0], 10) : null;
+    const limits = {};
+    while (/^((depth|pages)=\d+|skipUnchanged)$/.test(parts[1])) {
+      const [name, value] = parts.splice(1, 1)[0].split('=');
+      limits[name] = value === undefined ? true : parseInt(value, 10);
+    }
+    const map = TraversalPolicy._resolveMapSpec(parts[1] || defaultMap);
     if (!map) {
       return null;
     }
 
     const definition = TraversalPolicy[policyName];
-    return definition ? definition(map) : null;
+    if (!definition) {
+      return null;
+    }
+    const result = definition(map);
+    if (days !== null) {
+      result.freshness = days;
+    }
+    result.depth = limits.depth === undefined ? null : limits.depth;
+    result.pages = limits.pages === undefined ? null : limits.pages;
+    result.skipUnchanged = !!limits.skipUnchanged;
+    return result;
   }
 
   static default(map) {
@@ -133,6 +173,10 @@ class TraversalPolicy {
     return new TraversalPolicy('mutables', 'matchOrVersion', TraversalPolicy._resolveMapSpec(map));
   }
 
+  static incremental(map) {
+    return new TraversalPolicy('mutables', 'incremental', TraversalPolicy._resolveMapSpec(map));
+  }
+
   static always(map) {
     return new TraversalPolicy('originOnly', 'always', TraversalPolicy._resolveMapSpec(map));
   }
@@ -142,13 +186,16 @@ class TraversalPolicy {
   }
 
   static clone(policy) {
-    return new TraversalPolicy(policy.fetch, policy.freshness, policy.map);
+    return new TraversalPolicy(policy.fetch, policy.freshness, policy.map, policy.depth, policy.pages, policy.skipUnchanged);
   }
 
-  constructor(fetch, freshness, map) {
+  constructor(fetch, freshness, map, depth = null, pages = null, skipUnchanged = false) {
     this.fetch = fetch;
     this.freshness = freshness;
     this.map = typeof map === 'string' ? new VisitorMap(map) : map;
+    this.depth = depth;
+    this.pages = pages;
+    this.skipUnchanged = skipUnchanged;
   }
 
   getNextPolicy(name, map = null) {
@@ -156,7 +203,8 @@ class TraversalPolicy {
     if (!newMap) {
       return null;
     }
-    return new TraversalPolicy(this.fetch, this.freshness, newMap);
+    const depth = typeof this.depth === 'number' ? this.depth - 1 : null;
+    return new TraversalPolicy(this.fetch, this.freshness, newMap, depth, this.pages, this.skipUnchanged);
   }
 
   getCurrentStep() {
@@ -171,15 +219,14 @@ class TraversalPolicy {
     if (this.freshness === 'always') {
       return true;
     }
-    if (this.freshness === 'match') {
+    if (this.freshness === 'match' || this.freshness === 'incremental') {
       // process if the content came from origin then either we did not have it cached or it did not match.  Process
       return request.contentOrigin === 'origin';
     }
     if (typeof this.freshness === 'number') {
-      // TODO this is not quite right. To tell time freshness we need to get the cached version but if we need to process
-      // we need the content from origin. Essentially we need to read the processed time with the etag (at that point)
-      // determine if the content is stale.  Testing here is too late.
-      return moment.diff(request.document._metadata.processedAt, 'hours') > this.freshness * 24;
+      // The fetcher checks staleness (see isStale) when it reads the etag and only goes to origin for stale documents.
+      // Anything that came from origin, changed or not, needs processing. Content served from storage is fresh enough.
+      return request.contentOrigin === 'origin' || request.contentOrigin === 'cacheOfOrigin';
     }
     if (this.freshness === 'version' || this.freshness === 'matchOrVersion') {
       return !request.document._metadata.version || (request.document._metadata.version < version);
@@ -187,6 +234,18 @@ class TraversalPolicy {
     throw new Error('Invalid freshness in traversal policy');
   }
 
+  /**
+   * Given a stored document, answer whether or not it was processed longer ago than the policy's freshness (in days)
+   * allows. Documents that have never been processed are always stale.
+   */
+  isStale(document) {
+    const processedAt = document && document._metadata ? document._metadata.processedAt : null;
+    if (!processedAt || typeof this.freshness !== 'number') {
+      return true;
+    }
+    return moment.utc().diff(moment.utc(processedAt), 'days', true) >= this.freshness;
+  }
+
   /**
    * Given a request that would not otherwise be processed, answer whether or not its document should be
    * traversed to discover additional resources to process.
@@ -195,6 +254,46 @@ class TraversalPolicy {
     return this.map.hasNextStep();
   }
 
+  /**
+   * Given a collection page that is unchanged at origin (i.e., a 304 on its etag), answer whether or not its elements
+   * and any later pages still need to be walked. Only policies that opt in skip them and only if changed content
+   * is all that is processed and the collection is sorted most recently updated first (see isSortedByUpdate).
+   */
+  shouldTraverseUnchanged(request) {
+    const changesOnly = this.freshness === 'match' || this.freshness === 'incremental';
+    return !(changesOnly && this.isSortedByUpdate(request));
+  }
+
+  /**
+   * Answer whether or not the given request's collection is to be fetched most recently updated first so any change
+   * shows up on its first page. Only policies that skip unchanged collections need that.
+   */
+  isSortedByUpdate(request) {
+    return this.skipUnchanged && ['issues', 'repos'].includes(request.type);
+  }
+
+  /**
+   * Answer whether or not the given request should only fetch what has changed since its collection was last crawled.
+   */
+  isIncremental(request) {
+    return this.freshness === 'incremental' && ['issues', 'issue_comments', 'review_comments', 'commits'].includes(request.type);
+  }
+
+  /**
+   * Answer whether or not this policy has walked further from the starting entity than its depth limit allows.
+   * Policies without a depth limit are never too deep.
+   */
+  isTooDeep() {
+    return typeof this.depth === 'number' && this.depth < 0;
+  }
+
+  /**
+   * Given the number of pages in a collection, return how many of them should be fetched.
+   */
+  getPageLimit(pageCount) {
+    return typeof this.pages === 'number' ? Math.min(pageCount, this.pages) : pageCount;
+  }
+
   isImmutable(type) {
     return ['commit'].includes(type);
   }
@@ -227,13 +326,14 @@ class TraversalPolicy {
    */
   getShortForm() {
     const fetch = { storageOnly: 'S', storageOriginIfMissing: 's', originOnly: 'O', originStorage: 'o', mutables: 'm' }[this.fetch];
-    let freshness = { always: 'A', match: 'M', version: 'V', matchOrVersion: 'm' }[this.freshness];
-    if (!freshness) {
-      if (typeof this.policy.freshness === 'number') {
-        freshness = 'N';
-      }
+    let freshness = { always: 'A', match: 'M', version: 'V', matchOrVersion: 'm', incremental: 'I' }[this.freshness];
+    if (!freshness && typeof this.freshness === 'number') {
+      freshness = `${this.freshness}`;
     }
-    return fetch + freshness;
+    const depth = typeof this.depth === 'number' ? `d${this.depth}` : '';
+    const pages = typeof this.pages === 'number' ? `p${this.pages}` : '';
+    const unchanged = this.skipUnchanged ? 'u' : '';
+    return fetch + freshness + depth + pages + unchanged;
   }
 
 }
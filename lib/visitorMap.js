@@ -37,7 +37,52 @@ class VisitorMap {
       map = scenario;
       scenario = 'default';
     }
-    return mapList[scenario][map];
+    return VisitorMap._getScenario(scenario)[map];
+  }
+
+  static _getScenario(name) {
+    if (!mapList[name] && userMapList[name]) {
+      return userMapList[name];
+    }
+    // Parameterized scenarios are named <scenario>-<parameter> (e.g., forks-3) and built on first use
+    if (!mapList[name]) {
+      const [base, parameter] = name.split('-');
+      const factory = scenarioFactories[base];
+      if (factory) {
+        mapList[name] = factory(parameter);
+      }
+    }
+    return mapList[name];
+  }
+
+  /**
+   * Register user-defined scenarios, replacing any registered previously. Scenarios are given as JSON-friendly
+   * objects keyed by scenario name. Each scenario maps entity types to map nodes where a node is one of
+   *   * 'self' -- visit the entity but nothing it references
+   *   * the name of an entity type (e.g., 'issue') -- walk as the default scenario does from there
+   *   * [] -- visit a collection or relation but not its elements
+   *   * an object with a _type (an entity type) and a property for each reference to walk, each itself a node.
+   *     Only references the entity type walks in one of the built-in scenarios are allowed
+   * For example, { triage: { repo: { _type: 'repo', issues: { _type: 'issue', assignee: 'self' } } } } defines a
+   * triage scenario that can be used with map specs like triage/repo or triage/repo@/issues.
+   */
+  static registerScenarios(specs = {}) {
+    const result = {};
+    Object.getOwnPropertyNames(specs).forEach(name => {
+      if (!/^\w+$/.test(name)) {
+        throw new Error(`Invalid scenario name: ${name}`);
+      }
+      if (mapList[name] || scenarioFactories[name]) {
+        throw new Error(`Cannot redefine built-in scenario: ${name}`);
+      }
+      const scenario = specs[name];
+      result[name] = {};
+      Object.getOwnPropertyNames(scenario).forEach(type => {
+        validateType(type, `${name}/${type}`);
+        result[name][type] = buildNode(scenario[type], `${name}/${type}`);
+      });
+    });
+    userMapList = result;
   }
 
   static getMap(name, path = '/') {
@@ -137,15 +182,34 @@ function relation(type) {
   return type;
 }
 
+const reaction = {
+  _type: 'reaction',
+  user: self
+};
+
 const commit_comment = {
   _type: 'commit_comment',
   user: self
 };
 
 
+const commit_patch = self;
+
+// Commit author/committer emails. Unresolved emails may be looked up and, if found, resolved to an email document.
+const email_search = {
+  _type: 'email_search',
+  email: self
+};
+
+const email = {
+  _type: 'email',
+  email_search: email_search
+};
+
 const commit = {
   _type: 'commit',
   commit_comments: collection(commit_comment),
+  commit_patch: commit_patch,
   repo: self,
   author: self,
   committer: self
@@ -160,12 +224,36 @@ const pull_request_commit_comment = {
 const pull_request_commit = {
   _type: 'pull_request_commit',
   pull_request_commit_comments: collection(pull_request_commit_comment),
+  commit_patch: commit_patch,
   repo: self,
   author: self,
   committer: self
 };
 
-const status = self;
+const status = {
+  _type: 'status',
+  creator: self
+};
+
+const combined_status = self;
+
+const check_suite = self;
+
+const check_run = self;
+
+const label = self;
+
+const branch_protection = self;
+
+const branch = {
+  _type: 'branch',
+  branch_protection: branch_protection
+};
+
+const milestone = {
+  _type: 'milestone',
+  creator: self
+};
 
 const issue_comment = {
   _type: 'issue_comment',
@@ -204,6 +292,7 @@ const pull_request = {
   reviews: review,
   review_comments: review_comment,
   statuses: collection(status),
+  combined_status: combined_status,
   pull_request_commits: collection(pull_request_commit),
   issue: issue,
   issue_comments: collection(issue_comment)
@@ -212,9 +301,29 @@ const pull_request = {
 // patch pull_request into issue as it is a cycle.
 issue.pull_request = pull_request;
 
+const deployment_status = {
+  _type: 'deployment_status',
+  creator: self
+};
+
+const environment = self;
+
 const deployment = {
   _type: 'deployment',
-  creator: self
+  creator: self,
+  deployment_statuses: collection(deployment_status),
+  environment: environment
+};
+
+const release_asset = {
+  _type: 'release_asset',
+  uploader: self
+};
+
+const release = {
+  _type: 'release',
+  author: self,
+  release_assets: collection(release_asset)
 };
 
 const traffic = {
@@ -243,6 +352,11 @@ const repo = {
   subscribers: relation(self),
   issues: collection(issue),
   commits: collection(commit),
+  releases: collection(release),
+  labels: collection(label),
+  milestones: collection(milestone),
+  branches: collection(branch),
+  deployments: collection(deployment),
   events: collection(event)
 };
 
@@ -251,6 +365,18 @@ const user = {
   repos: collection(repo)
 };
 
+const hook = self;
+
+const invitation = {
+  _type: 'invitation',
+  inviter: self
+};
+
+const org_membership = {
+  _type: 'org_membership',
+  user: self
+};
+
 const org = {
   _type: 'org',
   repos: collection(repo),
@@ -274,19 +400,32 @@ function event(additions = {}) {
 }
 
 const events = {
+  CheckRunEvent: event({
+    check_run: check_run
+  }),
+  CheckSuiteEvent: event({
+    check_suite: check_suite
+  }),
   CommitCommentEvent: event({
     commit: commit,
     commit_comment: commit_comment
   }),
-  CreateEvent: event(),
-  DeleteEvent: event(),
+  CreateEvent: event({
+    branch: branch
+  }),
+  DeleteEvent: event({
+    branch: branch
+  }),
   DeploymentEvent: event({
     deployment: deployment
   }),
   DeploymentStatusEvent: event({
-    deployment: deployment
+    deployment: deployment,
+    deployment_status: deployment_status
+  }),
+  ForkEvent: event({
+    forkee: self
   }),
-  ForkEvent: event(),
   GollumEvent: event(),
   IssueCommentEvent: event({
     issue: issue,
@@ -297,7 +436,9 @@ const events = {
     assignee: self,
     label: self
   }),
-  LabelEvent: event(),
+  LabelEvent: event({
+    label: label
+  }),
   MemberEvent: event({
     member: self
   }),
@@ -305,8 +446,12 @@ const events = {
     member: self,
     team: self
   }),
-  MilestoneEvent: event(),
-  OrganizationEvent: event(),
+  MilestoneEvent: event({
+    milestone: milestone
+  }),
+  OrganizationEvent: event({
+    membership: org_membership
+  }),
   PageBuildEvent: event(),
   PublicEvent: event(),
   PullRequestEvent: event({
@@ -323,12 +468,17 @@ const events = {
   PushEvent: event({
     commits: commit
   }),
-  ReleaseEvent: event(),
+  ReleaseEvent: event({
+    release: release
+  }),
   RepositoryEvent: event({
     repository: self
   }),
   StarEvent: event(),
-  StatusEvent: event(),
+  StatusEvent: event({
+    status: status,
+    combined_status: combined_status
+  }),
   TeamEvent: event({
     repository: self,
     team: self
@@ -348,17 +498,40 @@ const entities = {
   repo: repo,
   user: user,
   team: team,
+  hook: hook,
+  invitation: invitation,
+  org_membership: org_membership,
   commit: commit,
   commit_comment: commit_comment,
+  commit_patch: commit_patch,
+  email: email,
+  unresolved_email: email,
+  email_search: email_search,
   pull_request_commit: pull_request_commit,
   pull_request_commit_comment: pull_request_commit_comment,
+  reaction: reaction,
   deployment: deployment,
+  deployment_status: deployment_status,
+  environment: environment,
   issue: issue,
   issue_comment: issue_comment,
+  label: label,
+  milestone: milestone,
+  branch: branch,
+  branch_protection: branch_protection,
   pull_request: pull_request,
   review: review,
   review_comment: review_comment,
+  status: status,
+  combined_status: combined_status,
+  check_suite: check_suite,
+  check_run: check_run,
+  release: release,
+  release_asset: release_asset,
   traffic: traffic,
+  languages: self,
+  license: self,
+  community_profile: self,
   update_events: events
 };
 
@@ -370,6 +543,45 @@ initializeMap.repo.pull_requests = [];
 initializeMap.pull_request.issue = self;
 initializeMap.user.repos = [];
 
+// Reactions cost a request per reactable entity so they are not walked by default.  Scenarios opt in by
+// hanging a reactions collection off of the entities of interest.
+const reactionsMap = VisitorMap.copy(initializeMap);
+['commit_comment', 'pull_request_commit_comment', 'issue', 'issue_comment', 'review_comment'].forEach(type => {
+  reactionsMap[type].reactions = collection(reactionsMap.reaction);
+});
+
+// The social graph around users is large and only loosely related to the entities being crawled so it is not walked
+// by default.  The social scenario adds the user's relations (but not their contents) to the normal traversal.
+const socialMap = VisitorMap.copy(initializeMap);
+socialMap.user.followers = relation(self);
+socialMap.user.following = relation(self);
+socialMap.user.starred = relation(self);
+socialMap.user.subscriptions = relation(self);
+socialMap.user.orgs = relation(self);
+
+// Recording commit author and committer emails costs a queued request per role per commit so it is only done by the
+// emails scenario.  Email-only commits are linked to users already mapped to their email in every scenario.
+const emailsMap = VisitorMap.copy(initializeMap);
+['commit', 'pull_request_commit'].forEach(type => {
+  emailsMap[type].author_email = emailsMap.email;
+  emailsMap[type].committer_email = emailsMap.email;
+});
+
+// Auditing who has access to an org and where its events go needs an org admin token. Without one GitHub answers
+// with 403s and 404s so the audit relations are only walked by the audit scenario.
+const auditMap = VisitorMap.copy(initializeMap);
+auditMap.org.memberships = relation(auditMap.org_membership);
+auditMap.org.outside_collaborators = relation(self);
+auditMap.org.invitations = relation(auditMap.invitation);
+auditMap.org.hooks = relation(auditMap.hook);
+
+// Repo metadata (languages, license and community profile) costs up to three requests per repo and rarely changes
+// so it is only walked by the profile scenario.
+const profileMap = VisitorMap.copy(initializeMap);
+profileMap.repo.languages = self;
+profileMap.repo.license = self;
+profileMap.repo.community_profile = self;
+
 const relationOnlyMap = {
   MemberEvent: {
     repo: {
@@ -383,10 +595,104 @@ const relationOnlyMap = {
   }
 }
 
+const DEFAULT_FORK_DEPTH = 2;
+
+// Walk the fork network of a repo (or an org's repos) down the given number of generations.  Only the forks
+// themselves and their owners are visited, not their content.
+function forksScenario(parameter = DEFAULT_FORK_DEPTH) {
+  const depth = parseInt(parameter, 10);
+  if (isNaN(depth) || depth < 0) {
+    throw new Error(`Invalid fork depth: ${parameter}`);
+  }
+  const fork = remaining => {
+    const result = {
+      _type: 'repo',
+      owner: self,
+      organization: self,
+      parent: self,
+      source: self
+    };
+    if (remaining > 0) {
+      result.forks = relation(fork(remaining - 1));
+    }
+    return result;
+  };
+  const repo = fork(depth);
+  return {
+    repo: repo,
+    org: {
+      _type: 'org',
+      repos: collection(repo)
+    }
+  };
+}
+
+const scenarioFactories = {
+  forks: forksScenario
+};
+
 const mapList = {
   initialize: VisitorMap.copy(initializeMap),
   default: VisitorMap.copy(initializeMap),
-  relationOnly: VisitorMap.copy(relationOnlyMap)
+  reactions: VisitorMap.copy(reactionsMap),
+  social: VisitorMap.copy(socialMap),
+  profile: VisitorMap.copy(profileMap),
+  audit: VisitorMap.copy(auditMap),
+  emails: VisitorMap.copy(emailsMap),
+  relationOnly: VisitorMap.copy(relationOnlyMap),
+  forks: forksScenario()
 };
 
+// the relations and properties each entity type walks in any of the built-in scenarios. User-defined scenarios can
+// only walk these
+const knownReferences = {};
+Object.getOwnPropertyNames(mapList).forEach(name => {
+  const map = mapList[name];
+  Object.getOwnPropertyNames(map).forEach(type => {
+    const references = knownReferences[type] = knownReferences[type] || new Set();
+    Object.getOwnPropertyNames(map[type]).filter(reference => reference !== '_type').forEach(reference => references.add(reference));
+  });
+});
+
+// user-defined scenarios, see VisitorMap.registerScenarios
+let userMapList = {};
+
+function validateType(type, location) {
+  if (!Object.prototype.hasOwnProperty.call(initializeMap, type)) {
+    throw new Error(`Unknown entity type ${type} at ${location}`);
+  }
+}
+
+function validateReference(type, name, location) {
+  if (!knownReferences[type] || !knownReferences[type].has(name)) {
+    throw new Error(`Unknown reference ${name} for entity type ${type} at ${location}`);
+  }
+}
+
+function buildNode(spec, location) {
+  if (spec === 'self') {
+    return self;
+  }
+  if (typeof spec === 'string') {
+    validateType(spec, location);
+    return initializeMap[spec];
+  }
+  if (Array.isArray(spec)) {
+    if (spec.length) {
+      throw new Error(`Only empty lists are allowed at ${location}`);
+    }
+    return [];
+  }
+  if (!spec || typeof spec !== 'object') {
+    throw new Error(`Invalid map node at ${location}`);
+  }
+  validateType(spec._type, `${location}/_type`);
+  const result = { _type: spec._type };
+  Object.getOwnPropertyNames(spec).filter(name => name !== '_type').forEach(name => {
+    validateReference(spec._type, name, `${location}/${name}`);
+    result[name] = buildNode(spec[name], `${location}/${name}`);
+  });
+  return result;
+}
+
 // console.dir(mapList.default);
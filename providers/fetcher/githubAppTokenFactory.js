@@ -0,0 +1,192 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const crypto = require('crypto');
+const parse = require('parse-link-header');
+const Q = require('q');
+const TokenFactory = require('./tokenFactory');
+
+/**
+ * A token factory that authenticates as a GitHub App and mints an installation token for each
+ * installation (typically one per org). Installation tokens expire after an hour so they are
+ * refreshed in the background ahead of expiry. Each token carries the configured traits plus an
+ * org-scoped trait (e.g., `org:contoso`). An installation can only see its own org so its token is
+ * only handed out for requests asking for that org. Any statically configured tokens are served alongside.
+ */
+class GitHubAppTokenFactory extends TokenFactory {
+
+  constructor(appId, privateKey, requestor, tokens, options) {
+    super(tokens, options);
+    this.appId = appId;
+    this.privateKey = privateKey;
+    this.requestor = requestor;
+    this.logger = options.logger;
+    this.installationTokens = null;
+    this.refreshTimer = null;
+  }
+
+  start() {
+    return this.refresh().catch(error => {
+      this.logger.error(error);
+      this._scheduleRefresh(this.options.appRetryDelay || 60000);
+    });
+  }
+
+  stop() {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  /**
+   * Mint a fresh token for every installation of the app and schedule the next refresh ahead of the
+   * earliest expiry.
+   */
+  refresh() {
+    return this._getInstallations().then(installations => {
+      return Q.all(installations.map(installation => this._createInstallationToken(installation)));
+    }).then(tokens => {
+      // carry over any bench time so that a token benched just before refresh stays benched
+      const previous = this.installationTokens || [];
+      tokens.forEach(token => {
+        const old = previous.find(entry => entry.installation === token.installation);
+        if (old) {
+          token.benchUntil = old.benchUntil;
+          token.previousValue = old.value;
+        }
+      });
+      this.installationTokens = tokens;
+      this._combineTokens();
+      const margin = this.options.appRefreshMargin || 5 * 60 * 1000;
+      const earliest = Math.min(...tokens.map(token => token.expiresAt));
+      this._scheduleRefresh(tokens.length ? Math.max(0, earliest - margin - Date.now()) : this.options.appRetryDelay || 60000);
+      this.logger.info(`Refreshed ${tokens.length} GitHub App installation tokens`);
+      return tokens;
+    });
+  }
+
+  setTokens(spec) {
+    super.setTokens(spec);
+    this.staticTokens = this.tokens;
+    this._combineTokens();
+  }
+
+  getToken(desiredTraitSets, org = null) {
+    // until the first set of installation tokens is in, ask the caller to wait rather than fail
+    if (!this.installationTokens && this.staticTokens.length === 0) {
+      return Date.now() + (this.options.appPendingDelay || 1000);
+    }
+    return super.getToken(desiredTraitSets, org);
+  }
+
+  _getToken(desiredTraits) {
+    // expired tokens are useless, pretend they are benched until the refresh replaces them
+    const now = Date.now();
+    this.tokens.filter(token => token.expiresAt && token.expiresAt <= now).forEach(token => {
+      token.benchUntil = Math.max(token.benchUntil || 0, now + (this.options.appPendingDelay || 1000));
+    });
+    return super._getToken(desiredTraits);
+  }
+
+  exhaust(value, until) {
+    // requests in flight during a refresh still hold the old value, bench its replacement.
+    const token = (this.installationTokens || []).find(token => token.previousValue === value);
+    return super.exhaust(token ? token.value : value, until);
+  }
+
+  // Installation tokens differ from instance to instance and refresh to refresh but the rate limit is the
+  // installation's so share benches by installation.
+  _getBenchId(value) {
+    const token = (this.installationTokens || []).find(token => token.value === value || token.previousValue === value);
+    return token ? `installation:${token.installation}` : super._getBenchId(value);
+  }
+
+  _combineTokens() {
+    this.tokens = (this.staticTokens || []).concat(this.installationTokens || []);
+  }
+
+  _scheduleRefresh(delay) {
+    this.stop();
+    this.refreshTimer = setTimeout(this.start.bind(this), delay);
+    if (this.refreshTimer.unref) {
+      this.refreshTimer.unref();
+    }
+  }
+
+  // Installations come a page at a time. Follow the link header to get them all.
+  _getInstallations(url = `${this._getApiUrl()}/app/installations?per_page=100`, installations = []) {
+    return this._request('GET', url, this._createJwt()).then(response => {
+      const all = installations.concat(response.body);
+      const links = parse(response.headers ? response.headers.link : null);
+      return links && links.next ? this._getInstallations(links.next.url, all) : all;
+    });
+  }
+
+  _createInstallationToken(installation) {
+    const url = `/app/installations/${installation.id}/access_tokens`;
+    return this._call('POST', url, this._createJwt()).then(body => {
+      return {
+        value: body.token,
+        traits: this._getInstallationTraits(installation),
+        requiredTraits: [`org:${installation.account.login.toLowerCase()}`],
+        installation: installation.id,
+        expiresAt: new Date(body.expires_at).getTime()
+      };
+    });
+  }
+
+  _getInstallationTraits(installation) {
+    const login = installation.account.login.toLowerCase();
+    const configured = (this.options.appInstallationTraits || {})[login];
+    const traits = configured || this.options.appTraits || ['admin', 'public'];
+    return traits.concat([`org:${login}`]);
+  }
+
+  _createJwt() {
+    const now = Math.floor(Date.now() / 1000);
+    // backdate a little to allow for clock drift, GitHub caps the lifetime at 10 minutes
+    const payload = { iat: now - 60, exp: now + 9 * 60, iss: this.appId };
+    const header = { alg: 'RS256', typ: 'JWT' };
+    const content = `${base64Url(JSON.stringify(header))}.${base64Url(JSON.stringify(payload))}`;
+    const signature = crypto.createSign('RSA-SHA256').update(content).sign(this.privateKey);
+    return `${content}.${base64Url(signature)}`;
+  }
+
+  _call(method, path, jwt) {
+    return this._request(method, `${this._getApiUrl()}${path}`, jwt).then(response => response.body);
+  }
+
+  _request(method, url, jwt) {
+    const deferred = Q.defer();
+    this.requestor({
+      method: method,
+      url: url,
+      headers: {
+        authorization: `Bearer ${jwt}`,
+        accept: 'application/vnd.github.machine-man-preview+json',
+        'User-Agent': 'ghcrawler'
+      },
+      json: true
+    }, (error, response, body) => {
+      if (error) {
+        return deferred.reject(error);
+      }
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        return deferred.reject(new Error(`Code ${response.statusCode} for ${method} ${url}`));
+      }
+      deferred.resolve({ headers: response.headers, body: body });
+    });
+    return deferred.promise;
+  }
+
+  _getApiUrl() {
+    return this.options.appApiUrl || 'https://api.github.com';
+  }
+}
+
+function base64Url(value) {
+  return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+module.exports = GitHubAppTokenFactory;
@@ -2,12 +2,22 @@
 // Licensed under the MIT License.
 
 const Q = require('q');
+const TokenFactory = require('./tokenFactory');
 const URL = require('url');
 
+// The date window query parameters GitHub supports for each collection type
+const windowParams = {
+  issues: ['since'],
+  issue_comments: ['since'],
+  review_comments: ['since'],
+  commits: ['since', 'until']
+};
+
 class GitHubFetcher {
 
-  constructor(requestor, store, tokenFactory, limiter, options) {
+  constructor(requestor, store, tokenFactory, limiter, options, graphQLFetcher = null) {
     this.requestor = requestor;
+    this.graphQLFetcher = graphQLFetcher;
     this.store = store;
     this.tokenFactory = tokenFactory;
     this.limiter = limiter;
@@ -20,12 +30,49 @@ class GitHubFetcher {
     if (initial === 'storage') {
       return this._fetchFromStorage(request);
     }
+    if (request.policy.isIncremental(request)) {
+      return this._fetchIncremental(request);
+    }
+    if (initial === 'etag' && typeof request.policy.freshness === 'number') {
+      return this._fetchIfStale(request);
+    }
     return this._fetchFromGitHub(request, initial === 'etag');
   }
 
-  _fetchFromGitHub(request, checkEtag) {
+  // Read the stored document to get its processedAt time along with the etag. Only go to origin if it is stale.
+  _fetchIfStale(request) {
+    const start = Date.now();
+    return this.store.get(request.type, request.context.cacheKey || request.url).then(document => document, error => null).then(document => {
+      if (document && !request.policy.isStale(document)) {
+        request.addMeta({ read: Date.now() - start });
+        request.response = { headers: {} };
+        return this._prepareCachedRequest(request, document, 'storage');
+      }
+      return this._fetchFromGitHub(request, false, document);
+    });
+  }
+
+  // Only get what changed since the collection was last crawled. The time comes from the stored first page and is
+  // carried in the context to the later pages. If the collection has not been crawled before, get it all.
+  _fetchIncremental(request) {
+    const lastCrawled = request.context.lastCrawledAt !== undefined
+      ? Q(request.context.lastCrawledAt)
+      : this.store.get(request.type, request.url).then(
+        document => document && document._metadata.crawledAt ? document._metadata.crawledAt : null,
+        error => null);
+    return lastCrawled.then(lastCrawledAt => {
+      request.context.lastCrawledAt = lastCrawledAt;
+      // the stored etag is for a different window of changes so do not use it
+      return this._fetchFromGitHub(request, false);
+    });
+  }
+
+  _fetchFromGitHub(request, checkEtag, cached = null) {
     const self = this;
-    const etagPromise = checkEtag ? this.store.etag(request.type, request.url) : Q(null);
+    let etagPromise = checkEtag ? this.store.etag(request.type, request.url) : Q(null);
+    if (cached) {
+      etagPromise = Q(cached._metadata.etag || null);
+    }
     return etagPromise.then(etag => {
       return self._getToken(request).then(token => {
         if (!token) {
@@ -48,7 +95,7 @@ class GitHubFetcher {
             if (status === 409 || status === 204) {
               return request.markSkip('Empty', `Code ${status} for ${request.url}`);
             }
-            request.addMeta({ token: token.slice(0, 4) });
+            request.addMeta({ token: TokenFactory.getTokenKey(token) });
 
             // if GitHub secondary throttling (403 and a retry-after header), requeue and exhaust for the given delay
             if (status === 403 && response.headers['retry-after']) {
@@ -76,6 +123,9 @@ class GitHubFetcher {
           request.contentOrigin = 'origin';
           self._checkGitHubRateLimit(request, response);
           if (status === 304) {
+            if (cached) {
+              return this._prepareCachedRequest(request, cached, 'cacheOfOrigin');
+            }
             // We already have the content for this element.  Get the content from the store and process.
             // TODO we may strictly speaking not need to get the content here but it is complicated to tell ahead of time.  Future optimization
             return this.store.get(request.type, request.context.cacheKey || request.url).then(document => {
@@ -93,10 +143,15 @@ class GitHubFetcher {
     const [token, url] = this._addTokenToUrl(request, options);
     this._incrementMetric('fetch');
     options.time = true;
-    return this.requestor.get(url, options).then(response => {
+    // GraphQL answers null if the token is out of GraphQL points, in which case REST is used.
+    const fetch = this._useGraphQL(request, token)
+      ? this.graphQLFetcher.get(request, token, options.headers['If-None-Match']).then(response => response || this.requestor.get(url, options))
+      : this.requestor.get(url, options);
+    return fetch.then(response => {
       const time = response.elapsedTime;
-      const key = token.slice(0, 4);
+      const key = TokenFactory.getTokenKey(token);
       request.addMeta({ status: response.statusCode, token: key, fetch: time });
+      this._recordTokenOutcome(token, response, request);
       // tally up and consume (or restore) final compute cost for this request.
       return this.limiter.consume(key, time, this.options.defaultComputeCost || 50, request.exhaustToken).then(result => {
         // only log the first time the restore time is changed.
@@ -108,19 +163,71 @@ class GitHubFetcher {
     });
   }
 
+  // Types can be routed to the GraphQL fetcher using the typeFetchers option (e.g., { pull_request: 'graphql' }). Tokens
+  // that have used up their GraphQL points fall back to REST. The two have separate limits.
+  _useGraphQL(request, token) {
+    const typeFetchers = this.options.typeFetchers || {};
+    return typeFetchers[request.type] === 'graphql' && !!this.graphQLFetcher && this.graphQLFetcher.canFetch(request.type)
+      && !this.graphQLFetcher.isExhausted(token);
+  }
+
+  _recordTokenOutcome(token, response, request) {
+    if (!token) {
+      return;
+    }
+    const headers = response.headers || {};
+    const remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+    const reset = parseInt(headers['x-ratelimit-reset'], 10);
+    const quarantined = this.tokenFactory.recordOutcome(
+      token, response.statusCode, isNaN(remaining) ? null : remaining, isNaN(reset) ? null : reset * 1000);
+    if (quarantined) {
+      this.logger.error(new Error(`Quarantined token ${TokenFactory.getTokenKey(token)} after repeated 401s. It may have been revoked`), request.meta);
+    }
+  }
+
   _addTokenToUrl(request, options) {
     let header = options.headers.authorization;
+    const urlSpec = URL.parse(request.url, true);
+    delete urlSpec.search;
+    const windowed = this._addWindow(request, urlSpec.query);
+    const sorted = this._addSort(request, urlSpec.query);
     if (!header) {
-      return ['', request.url];
+      return ['', windowed || sorted ? URL.format(urlSpec) : request.url];
     }
-    const urlSpec = URL.parse(request.url, true);
     const token = header.slice(6);
     urlSpec.query.access_token = token;
-    delete urlSpec.search;
     delete options.headers.authorization;
     return [token, URL.format(urlSpec)];
   }
 
+  // Scope collections that GitHub can filter by date to the request's since/until window, or to what changed since the
+  // last crawl for incremental traversals. The processor filters everything else. Answer whether the query changed.
+  _addWindow(request, query) {
+    const context = request.context;
+    const supported = windowParams[request.type] || [];
+    let since = supported.includes('since') ? context.lastCrawledAt || null : null;
+    if (context.since && supported.includes('since') && (!since || new Date(context.since) > new Date(since))) {
+      since = context.since;
+    }
+    if (since) {
+      query.since = since;
+    }
+    if (context.until && supported.includes('until')) {
+      query.until = context.until;
+    }
+    return !!since || !!query.until;
+  }
+
+  // Policies that skip unchanged collections need any change to show up on the first page. Answer whether the query changed.
+  _addSort(request, query) {
+    if (!request.policy || !request.policy.isSortedByUpdate(request)) {
+      return false;
+    }
+    query.sort = 'updated';
+    query.direction = 'desc';
+    return true;
+  }
+
   _handleDeferred(request, benchTime) {
     request.delay(this.options.deferDelay || 500);  // add a little delay to this loop just to tame things a bit.
     const delay = benchTime - Date.now();
@@ -131,7 +238,7 @@ class GitHubFetcher {
   _handleSecondaryThrottled(request) {
     const delay = parseInt(request.response.headers['retry-after'], 10) * 1000;
     request.addMeta({ requestId: `${request.response.headers['x-github-request-id']}` });
-    const realDelay = request.exhaustToken(Date.now() + delay);
+    const realDelay = request.throttleToken(Date.now() + delay);
     request.addMeta({ secondaryDelay: realDelay || 0 });
     return request.markRequeue('Throttled', 'GitHub secondary throttling kicked in');
   }
@@ -140,7 +247,7 @@ class GitHubFetcher {
     // Get the reset time from the response, convert to milliseconds and add a bit of buffer for clock skew.
     const resetTime = parseInt(request.response.headers['x-ratelimit-reset'], 10) * 1000 + 5000;
     request.addMeta({ requestId: `${request.response.headers['x-github-request-id']}` });
-    const realDelay = request.exhaustToken(resetTime);
+    const realDelay = request.throttleToken(resetTime);
     request.addMeta({ primaryDelay: realDelay || 0 });
     return request.markRequeue('Throttled', 'GitHub primary throttling caught us');
   }
@@ -225,7 +332,7 @@ class GitHubFetcher {
       additionalTraits.push('admin');
     }
     additionalTraits = additionalTraits.length === 0 ? [] : [additionalTraits];
-    return this.tokenFactory.getToken(additionalTraits.concat(traits)).then(token => {
+    return this.tokenFactory.getToken(additionalTraits.concat(traits), request.getOrg()).then(token => {
       if (!token || typeof token === 'number') {
         return token;
       }
@@ -233,11 +340,14 @@ class GitHubFetcher {
         return this.tokenFactory.exhaust(token, until);
       }).bind(this);
       request.exhaustToken = exhaust;
+      // GitHub throttling is shared by everyone using the token so benches are too
+      request.throttleToken = until => this.tokenFactory.throttle(token, until);
       // allocate some default compute cost so we don't overrun too badly.  Reckoning will be done when the response is in.
-      return this.limiter.allocate(token.slice(0, 4), this.options.defaultComputeCost || 50, exhaust).then(result => {
+      const key = TokenFactory.getTokenKey(token);
+      return this.limiter.allocate(key, this.options.defaultComputeCost || 50, exhaust).then(result => {
         // only log the first time the restore time is changed.
         if (result.updated) {
-          this.logger.info('Exceeded ', `Pre-allocation limit for token ${token.slice(0, 4)} by ${result.overage}. Benching token until ${result.reset - Date.now()}ms from now`);
+          this.logger.info('Exceeded ', `Pre-allocation limit for token ${key} by ${result.overage}. Benching token until ${result.reset - Date.now()}ms from now`);
         }
         if (result.reset) {
           return result.reset;
@@ -272,11 +382,21 @@ class GitHubFetcher {
       teams: { tokenTraits: ['admin'] },
       team: { tokenTraits: ['admin'] },
       members: { tokenTraits: ['admin'] },
+      memberships: { tokenTraits: ['admin'] },
+      outside_collaborators: { tokenTraits: ['admin'] },
+      invitations: { tokenTraits: ['admin'] },
+      hooks: { tokenTraits: ['admin'] },
+      hook: { tokenTraits: ['admin'] },
+      org_membership: { tokenTraits: ['admin'] },
       events: { tokenTraits: ['admin'] },
       collaborators: { tokenTraits: ['admin'], headers: { Accept: 'application/vnd.github.korra-preview' } },
+      branch_protection: { tokenTraits: ['admin'], headers: { Accept: 'application/vnd.github.luke-cage-preview+json' } },
       reviews: { headers: { Accept: 'application/vnd.github.black-cat-preview+json' } },
       review: { headers: { Accept: 'application/vnd.github.black-cat-preview+json' } },
       reactions: { headers: { Accept: 'application/vnd.github.squirrel-girl-preview' } },
+      check_run: { headers: { Accept: 'application/vnd.github.antiope-preview+json' } },
+      check_suite: { headers: { Accept: 'application/vnd.github.antiope-preview+json' } },
+      community_profile: { headers: { Accept: 'application/vnd.github.black-panther-preview+json' } },
       clones: { tokenTraits: ['admin'], headers: { Accept: 'application/vnd.github.spiderman-preview' } },
       referrers: { tokenTraits: ['admin'], headers: { Accept: 'application/vnd.github.spiderman-preview' } },
       views: { tokenTraits: ['admin'], headers: { Accept: 'application/vnd.github.spiderman-preview' } },
@@ -13,9 +13,10 @@ const uuid = require('node-uuid');
 const VisitorMap = require('../../lib/visitorMap');
 
 class GitHubProcessor {
-  constructor(store) {
+  constructor(store, options = {}) {
     this.store = store;
-    this.version = 13;
+    this.options = options;
+    this.version = 27;
   }
 
   process(request) {
@@ -42,10 +43,21 @@ class GitHubProcessor {
     }
 
     const result = handler.call(this, request);
+    // handlers that need to look something up in the store answer a promise for the document
+    if (Q.isPromiseAlike(result)) {
+      return result.then(document => this._completeProcessing(request, document, oldVersion));
+    }
+    return this._completeProcessing(request, result, oldVersion);
+  }
+
+  _completeProcessing(request, result, oldVersion) {
     if (result) {
       result._metadata.version = this.version;
       result._metadata.processedAt = moment.utc().toISOString();
-      if (result._metadata.version !== oldVersion) {
+      // Stale documents are refreshed for numeric freshness even if unchanged at origin. Save them so the new
+      // processedAt keeps them from being refreshed again until they are stale again.
+      const refreshed = typeof request.policy.freshness === 'number' && request.contentOrigin === 'cacheOfOrigin';
+      if (result._metadata.version !== oldVersion || refreshed) {
         request.markSave();
       }
     }
@@ -56,16 +68,42 @@ class GitHubProcessor {
   }
 
   collection(request) {
+    if (this._isUnchangedPage(request)) {
+      return request.document;
+    }
+    const context = request.context;
+    const document = request.document;
+    const linkHeader = (request.response && request.response.headers) ? request.response.headers.link : null;
+    const links = linkHeader ? parse(linkHeader) : null;
+    const pageCount = links ? parseInt(links.last.page, 10) : 1;
+    // sampling crawls may cap the number of pages fetched for each collection
+    const lastPage = request.policy.getPageLimit(pageCount);
+    // note when the collection was crawled so incremental traversals can ask for just what changed since.  The crawl is
+    // done when its last page is processed so that page notes the crawl in this one (see _recordCrawl).  Crawls scoped
+    // to a date window or capped to fewer pages may have missed changes so they do not count as a crawl of the whole
+    // collection.  If this crawl was itself incremental, the pages only have what changed since the given time.
+    const windowed = context.since || context.until;
+    const complete = !windowed && lastPage === pageCount;
+    if (windowed) {
+      document._metadata.window = { since: context.since || null, until: context.until || null };
+    } else if (complete && lastPage === 1) {
+      document._metadata.crawledAt = document._metadata.fetchedAt;
+    }
+    if (context.lastCrawledAt) {
+      document._metadata.since = context.lastCrawledAt;
+    }
     // if there are additional pages, queue them up to be processed.  Note that these go
     // on the 'soon' queue so they are loaded before they change much.
-    const linkHeader = (request.response && request.response.headers) ? request.response.headers.link : null;
-    if (linkHeader) {
-      const links = parse(linkHeader);
+    if (links) {
       const requests = [];
-      for (let i = 2; i <= links.last.page; i++) {
+      const walk = { url: request.url, startedAt: document._metadata.fetchedAt, lastPage: lastPage };
+      for (let i = 2; i <= lastPage; i++) {
         const separator = request.url.includes('?') ? '&' : '?';
         const url = request.url + `${separator}page=${i}&per_page=100`;
         const newContext = extend(true, {}, request.context);
+        if (complete) {
+          newContext.walk = walk;
+        }
         const newRequest = new Request(request.type, url, newContext);
         // Carry this request's transitivity forward to the other pages.
         newRequest.policy = request.policy;
@@ -75,10 +113,59 @@ class GitHubProcessor {
     }
 
     // Process the rest of the request as a page.
-    return this.page(1, request);
+    this.page(1, request);
+    return this._isPartialPage(request) ? this._keepFullPage(request, document._metadata.crawledAt) : document;
+  }
+
+  // Later pages are walked like the first. The last page of a complete walk notes that the collection was crawled.
+  _laterPage(page, request) {
+    const document = this.page(page, request);
+    if (request.shouldSkip()) {
+      return document;
+    }
+    this._recordCrawl(page, request);
+    return this._isPartialPage(request) ? this._keepFullPage(request) : document;
+  }
+
+  // Incremental crawls note the time the walk started in the first page, once the last page is done.
+  _recordCrawl(page, request) {
+    const walk = request.context.walk;
+    if (!walk || parseInt(page, 10) !== walk.lastPage || !this.store) {
+      return;
+    }
+    request.track(this.store.get(request.type, walk.url).then(first => {
+      first._metadata.crawledAt = walk.startedAt;
+      return this.store.upsert(first);
+    }).catch(error => null));
+  }
+
+  // Pages fetched with since= only have what changed since the last crawl. Pages of a crawl scoped to a date window
+  // only have what was active in the window.
+  _isPartialPage(request) {
+    const context = request.context;
+    return !!(context.since || context.until) || (!!context.lastCrawledAt && request.policy.isIncremental(request));
+  }
+
+  // Keep the stored page rather than replacing it with a partial one, noting the crawl if given.
+  _keepFullPage(request, crawledAt = null) {
+    if (!this.store) {
+      return request.document;
+    }
+    return this.store.get(request.type, request.url).then(stored => stored, () => null).then(stored => {
+      if (!stored) {
+        return request.document;
+      }
+      if (crawledAt) {
+        stored._metadata.crawledAt = crawledAt;
+      }
+      return stored;
+    });
   }
 
   page(page, request) {
+    if (this._isUnchangedPage(request)) {
+      return request.document;
+    }
     const document = request.document;
     const qualifier = request.context.qualifier;
     request.linkResource('self', `${qualifier}:${request.type}:page:${page}`);
@@ -98,20 +185,38 @@ class GitHubProcessor {
       return document;
     }
     // Queue up the page elements.  Use the same policy as this request as the page itself is more of an implementation
-    // detail and should not be part of the user model of traversal.
-    document.elements.forEach(item => {
+    // detail and should not be part of the user model of traversal.  If the crawl is scoped to a date window, only
+    // queue the elements in the window. Not every collection can be filtered by GitHub.
+    const elements = document.elements.filter(item => this._isInWindow(request.context, elementType, item));
+    elements.forEach(item => {
       if (elementType) {
         const elementQualifier = this.isRootType(elementType) ? 'urn:' : qualifier;
-        const newContext = { qualifier: elementQualifier, history: request.context.history };
-        // review items are not "normal" and do not have a url property...
+        const newContext = this._getChildContext(request, { qualifier: elementQualifier });
+        // reactions, statuses and invitations cannot be fetched individually so queue them carrying their content, much like events.
+        if (['invitation', 'reaction', 'status'].includes(elementType)) {
+          const baseUrl = request.url.split("?")[0];
+          const newRequest = new Request(elementType, `${baseUrl}/${item.id}`, extend(true, {}, newContext));
+          newRequest.payload = { etag: 1, body: item };
+          newRequest.policy = request.policy;
+          request.queueRequests(newRequest);
+          return;
+        }
+        // review and branch items are not "normal" and do not have a url property...
         // TODO consider queuing the reviews with their actual payload rather than as a url request.  consider effects on etags etc
-        const url = elementType === 'review' ? `${item.pull_request_url}/reviews/${item.id}` : item.url;
+        let url = item.url;
+        if (elementType === 'review') {
+          url = `${item.pull_request_url}/reviews/${item.id}`;
+        } else if (elementType === 'branch') {
+          url = `${request.url.split('?')[0]}/${item.name}`;
+        } else if (elementType === 'org_membership') {
+          url = `${request.url.split('?')[0].replace(/\/members$/, '/memberships')}/${item.login}`;
+        }
         request.queue(elementType, url, request.policy, newContext);
       } else {
         // TODO if there is no elementType on a collection then assume it is events. Need to fix this up and
         // formalize the model of collections where the request carries the payload.
         const baseUrl = request.url.split("?")[0];
-        const newContext = extend(true, {}, { history: request.context.history });
+        const newContext = extend(true, {}, this._getChildContext(request));
         const newRequest = new Request(item.type, `${baseUrl}/${item.id}`, newContext);
         newRequest.payload = { etag: 1, body: item };
         newRequest.policy = request.policy;
@@ -125,47 +230,80 @@ class GitHubProcessor {
     const document = request.document;
     request.addRootSelfLink();
     request.linkSiblings('urn:orgs');
-    // TODO look at new API for membership differentiation
-    // * hooks
-    //
     this._addRoot(request, 'user', 'user', document.url.replace('/orgs/', '/users/'), `urn:user:${document.id}`);
     this._addCollection(request, 'repos', 'repo', null, `urn:user:${document.id}:repos`);
     if (document.members_url) {
-      this._addRelation(request, 'members', 'user', document.members_url.replace('{/member}', ''), `${this._getQualifier(request)}:org_members`);
+      const membersUrl = document.members_url.replace('{/member}', '');
+      this._addRelation(request, 'members', 'user', membersUrl, `${this._getQualifier(request)}:org_members`);
+      // The member list does not say who is an admin so each member's role is looked up in the membership API.
+      this._addRelation(request, 'memberships', 'org_membership', membersUrl, `${this._getQualifier(request)}:org_memberships`);
     }
-    const url = `${document.url.replace('/users/', '/orgs/')}/teams`;
-    this._addRelation(request, 'teams', 'team', url, `${this._getQualifier(request)}:org_teams`);
+    const orgUrl = document.url.replace('/users/', '/orgs/');
+    this._addRelation(request, 'teams', 'team', `${orgUrl}/teams`, `${this._getQualifier(request)}:org_teams`);
+    // Access audit. Who has access and where org events are sent.  All need an org admin token so they are only walked
+    // by scenarios that ask for them (e.g., audit/org).
+    this._addRelation(request, 'outside_collaborators', 'user', `${orgUrl}/outside_collaborators`);
+    this._addRelation(request, 'invitations', 'invitation', `${orgUrl}/invitations`);
+    this._addRelation(request, 'hooks', 'hook', `${orgUrl}/hooks`);
 
     return document;
   }
 
+  hook(request) {
+    const context = request.context;
+    request.addSelfLink();
+    request.linkSiblings(`${context.qualifier}:hooks`);
+    request.linkResource('org', context.qualifier);
+    return request.document;
+  }
+
+  invitation(request) {
+    const context = request.context;
+    request.addSelfLink();
+    request.linkSiblings(`${context.qualifier}:invitations`);
+    request.linkResource('org', context.qualifier);
+    this._addRoot(request, 'inviter', 'user');
+    return request.document;
+  }
+
+  org_membership(request) {
+    const document = request.document;
+    const context = request.context;
+    request.linkResource('self', `${context.qualifier}:org_membership:${document.user.id}`);
+    request.linkSiblings(`${context.qualifier}:org_memberships`);
+    request.linkResource('org', context.qualifier);
+    this._addRoot(request, 'user', 'user');
+    return document;
+  }
+
   user(request) {
-    // TODO links to consider
-    // * followers
-    // * following
-    // * starred
-    // * subscriptions
-    // * orgs???
     const document = request.document;
     request.addRootSelfLink();
     request.linkSiblings('urn:users');
 
     this._addCollection(request, 'repos', 'repo');
+    // The social graph is only walked by scenarios that ask for it (e.g., social/user)
+    if (document.followers && document.followers_url) {
+      this._addRelation(request, 'followers', 'user');
+    }
+    if (document.following && document.following_url) {
+      this._addRelation(request, 'following', 'user', document.following_url.replace('{/other_user}', ''));
+    }
+    if (document.starred_url) {
+      this._addRelation(request, 'starred', 'repo', document.starred_url.replace('{/owner}{/repo}', ''));
+    }
+    if (document.subscriptions_url) {
+      this._addRelation(request, 'subscriptions', 'repo');
+    }
+    if (document.organizations_url) {
+      this._addRelation(request, 'orgs', 'org', document.organizations_url);
+    }
     return document;
   }
 
-  // reactions
-  // commit comment, issue, issue comment, pull request review comment
-
   repo(request) {
     // TODO links to consider
-    // * forks  *** not yet
-    // * deployments
-    // * labels
-    // * languages
-    // * milestone
     // * hooks
-    // * releases
     // * invitations
     // * stargazers
     const document = request.document;
@@ -184,6 +322,11 @@ class GitHubProcessor {
     } else {
       this._addRoot(request, 'owner', 'user');
     }
+    if (document.fork) {
+      // parent is the repo this was forked from, source is the root of the fork network
+      this._addRoot(request, 'parent', 'repo');
+      this._addRoot(request, 'source', 'repo');
+    }
 
     this._addRelation(request, 'teams', 'team');
     // this._addRelation(request, 'collaborators', 'user', document.collaborators_url.replace('{/collaborator}', ''));
@@ -195,10 +338,33 @@ class GitHubProcessor {
     if (document.stargazers_count) {
       this._addRelation(request, 'stargazers', 'user');
     }
+    // Forks are only walked by scenarios that ask for them (e.g., forks/repo)
+    if (document.forks_count) {
+      this._addRelation(request, 'forks', 'repo');
+    }
     this._addCollection(request, 'issues', 'issue', document.issues_url.replace('{/number}', '?state=all'));
     this._addCollection(request, 'commits', 'commit', document.commits_url.replace('{/sha}', ''));
+    this._addCollection(request, 'releases', 'release', document.releases_url.replace('{/id}', ''));
+    this._addCollection(request, 'labels', 'label', document.labels_url.replace('{/name}', ''));
+    this._addCollection(request, 'milestones', 'milestone', document.milestones_url.replace('{/number}', '?state=all'));
+    this._addCollection(request, 'branches', 'branch', document.branches_url.replace('{/branch}', ''));
+    this._addCollection(request, 'deployments', 'deployment');
     this._addCollection(request, 'events', null);
 
+    // Metadata about the repo's content. Each is a single resource under the repo, refreshed like any other resource.
+    const repoUrn = document._metadata.links.self.href;
+    if (document.default_branch) {
+      request.linkResource('default_branch', `${repoUrn}:branch:${document.default_branch}`);
+    }
+    this._addResource(request, 'languages', 'languages', null, document.languages_url, `${repoUrn}:languages`, repoUrn);
+    // GitHub 404s on the license and community profile endpoints when there is nothing (or nothing public) to report.
+    if (document.license) {
+      this._addResource(request, 'license', 'license', null, `${document.url}/license`, `${repoUrn}:license`, repoUrn);
+    }
+    if (!document.private) {
+      this._addResource(request, 'community_profile', 'community_profile', null, `${document.url}/community/profile`, `${repoUrn}:community_profile`, repoUrn);
+    }
+
     return document;
   }
 
@@ -207,6 +373,9 @@ class GitHubProcessor {
   }
 
   commit(request, isPullRequestCommit = false) {
+    if (this._isOutsideWindow(request)) {
+      return request.document;
+    }
     const document = request.document;
     const context = request.context;
     let repoUrn = null;
@@ -226,6 +395,9 @@ class GitHubProcessor {
       request.linkSiblings(`${context.qualifier}:commits`);
     }
     this._addRoot(request, 'repo', 'repo', document.url.replace(/\/commits\/.*/, ''), repoUrn);
+    // Checks are keyed by SHA in the repo regardless of how we came to this commit. They arrive via events so just link.
+    request.linkCollection('check_suites', `${repoUrn}:commit:${document.sha}:check_suites`);
+    request.linkCollection('check_runs', `${repoUrn}:commit:${document.sha}:check_runs`);
 
     // Most often there actually are no comments. Get the comments if we think there will be some and this resource is being processed (vs. traversed).
     // Note that if we are doing event processing, new comments will be added to the list dynamically so the only reason we need to refetch the
@@ -239,28 +411,197 @@ class GitHubProcessor {
       request.linkCollection(`${commitCommentType}s`, commentsUrn);
     }
 
-    // TODO some commits have author and committer properties, others have email info in a "commit" property
-    // For the former, this code works.  For the latter, consider queuing an email lookup and storing a
-    // email key here for the author/committer.
+    // Some commits have author and committer users, others have only the email info in the "commit" property.
+    // Link the users if we have them and the emails in all cases so email-only authors can be resolved.
     this._addRoot(request, 'author', 'user');
     this._addRoot(request, 'committer', 'user');
 
     if (document.files) {
-      document.files.forEach(file => {
-        delete file.patch;
+      this._retainPatches(request, `${repoUrn}:commit:${document.sha}`);
+    }
+    const commitRef = { type: request.type, url: request.url, qualifier: isPullRequestCommit ? context.qualifier : repoUrn };
+    const lookups = ['author', 'committer'].map(role => this._addCommitEmail(request, role, commitRef)).filter(lookup => lookup);
+    return lookups.length ? Q.all(lookups).then(() => document) : document;
+  }
+
+  /**
+   * Link the commit's author or committer (the role) email and queue what we know about it. If the commit identifies
+   * the GitHub user, record the email to user mapping in an email document. If the commit only has the email, link
+   * the user we have already mapped the email to or, failing that, record the email as unresolved along with the
+   * commit so the commit can be backfilled once the email is resolved. Answers a promise if the store was consulted.
+   */
+  _addCommitEmail(request, role, commitRef) {
+    const document = request.document;
+    const info = document.commit ? document.commit[role] : null;
+    if (!info || !info.email) {
+      return null;
+    }
+    const email = info.email.toLowerCase();
+    const name = `${role}_email`;
+    request.linkResource(name, `urn:email:${email}`);
+    const hasUser = document[role] && document[role].id;
+    const user = hasUser ? document[role] : this._getNoReplyUser(email);
+    if (user) {
+      if (!hasUser) {
+        request.linkResource(role, `urn:user:${user.id}`);
+      }
+      this._queueEmail(request, name, 'email', email, { email: email, user: { id: user.id, login: user.login, url: user.url } });
+      return null;
+    }
+    const unresolved = { email: email, name: info.name, commits: [commitRef] };
+    if (!this.store) {
+      this._queueEmail(request, name, 'unresolved_email', email, unresolved);
+      return null;
+    }
+    return this.store.get('email', `mailto:${email}`).then(mapping => mapping, () => null).then(mapping => {
+      if (mapping && mapping.user) {
+        request.linkResource(role, `urn:user:${mapping.user.id}`);
+      } else {
+        this._queueEmail(request, name, 'unresolved_email', email, unresolved);
+      }
+    });
+  }
+
+  // Emails are not resources in the API so queue them carrying their content, much like events. Only walked by
+  // scenarios that ask for them (e.g., emails/commit).
+  _queueEmail(request, name, type, email, body) {
+    const newPolicy = request.getNextPolicy(name);
+    if (!newPolicy) {
+      return;
+    }
+    const newRequest = new Request(type, `mailto:${email}`, this._getChildContext(request, { qualifier: 'urn:' }));
+    newRequest.payload = { etag: 1, body: body };
+    newRequest.policy = newPolicy;
+    request.queueRequests(newRequest);
+  }
+
+  _getNoReplyUser(email) {
+    // GitHub's noreply emails carry the user id (e.g., 1234+login@users.noreply.github.com)
+    const match = /^(\d+)\+([^@]+)@users\.noreply\.github\.com$/.exec(email);
+    return match ? { id: parseInt(match[1], 10), login: match[2] } : null;
+  }
+
+  email(request) {
+    const document = request.document;
+    request.linkResource('self', `urn:email:${document.email}`);
+    request.linkResource('user', `urn:user:${document.user.id}`);
+    if (!this.store) {
+      return document;
+    }
+    // Commits seen before the email was resolved only link the email. Reprocess them so they link the user too and
+    // then clear the list so it is only done once.
+    return this.store.get('unresolved_email', request.url).then(unresolved => unresolved, () => null).then(unresolved => {
+      if (!unresolved || !unresolved.commits || unresolved.commits.length === 0) {
+        return document;
+      }
+      const commits = unresolved.commits.map(commit => {
+        const newRequest = new Request(commit.type, commit.url, { qualifier: commit.qualifier });
+        newRequest.policy = TraversalPolicy.reprocessAlways('self');
+        return newRequest;
       });
+      const cleared = new Request('unresolved_email', request.url, { qualifier: 'urn:' });
+      cleared.payload = { etag: 1, body: { email: document.email, name: unresolved.name, user: document.user, commits: [] } };
+      cleared.policy = TraversalPolicy.reprocessAlways('self');
+      request.queueRequests(commits.concat([cleared]));
+      return document;
+    });
+  }
+
+  unresolved_email(request) {
+    const document = request.document;
+    request.linkResource('self', `urn:email:${document.email}:unresolved`);
+    request.linkResource('email', `urn:email:${document.email}`);
+    // Search is rate limited so looking up emails is opt in. Reprocessing unresolved emails retries the lookup.
+    const options = this.options.emails || {};
+    if (options.search && !document.user) {
+      const url = `https://api.github.com/search/users?q=${encodeURIComponent(document.email)}+in:email`;
+      const newPolicy = request.getNextPolicy('email_search');
+      request.queue('email_search', url, newPolicy, { qualifier: 'urn:', email: document.email });
+    }
+    // Each commit reports the email on its own. Add the commits already recorded, up to a limit, so all of them can be
+    // backfilled. Once resolved (i.e., there is a user) the list has been backfilled and stays cleared.
+    if (!this.store || document.user) {
+      return document;
+    }
+    return this.store.get('unresolved_email', request.url).then(stored => stored, () => null).then(stored => {
+      const commits = (document.commits || []).slice();
+      ((stored && stored.commits) || []).forEach(commit => {
+        if (!commits.some(known => known.url === commit.url)) {
+          commits.push(commit);
+        }
+      });
+      document.commits = commits.slice(0, options.maxCommits || 100);
+      return document;
+    });
+  }
+
+  email_search(request) {
+    // The search results themselves are transient. Only an unambiguous match is worth recording.
+    request.markNoSave();
+    const document = request.document;
+    const items = document.items || [];
+    if (items.length !== 1) {
+      return document;
+    }
+    const user = items[0];
+    const email = request.context.email;
+    const newRequest = new Request('email', `mailto:${email}`, this._getChildContext(request, { qualifier: 'urn:' }));
+    newRequest.payload = { etag: 1, body: { email: email, user: { id: user.id, login: user.login, url: user.url } } };
+    newRequest.policy = request.getNextPolicy('email');
+    if (newRequest.policy) {
+      request.queueRequests(newRequest);
     }
     return document;
   }
 
+  /**
+   * Patches are big and not everyone wants them. Depending on the configured patch retention, drop them ('none'),
+   * leave them in the commit ('inline') or move them to a commit_patch document keyed by the commit SHA ('separate').
+   * In all cases, patches longer than the configured maxSize are dropped.
+   */
+  _retainPatches(request, commitUrn) {
+    const document = request.document;
+    const options = this.options.patches || {};
+    const retention = options.retention || 'none';
+    const fits = file => file.patch && (!options.maxSize || file.patch.length <= options.maxSize);
+    const patches = retention === 'separate' ? document.files.filter(fits).map(file => {
+      return { filename: file.filename, sha: file.sha, patch: file.patch };
+    }) : [];
+    document.files.forEach(file => {
+      if (retention !== 'inline' || !fits(file)) {
+        delete file.patch;
+      }
+    });
+    if (retention !== 'separate') {
+      return;
+    }
+    request.linkResource('commit_patch', `${commitUrn}:commit_patch`);
+    const newPolicy = request.getNextPolicy('commit_patch');
+    if (!newPolicy) {
+      return;
+    }
+    // There is no API for just the patches so queue them carrying their content, much like events.
+    const newRequest = new Request('commit_patch', `${document.url}/patch`, this._getChildContext(request, { qualifier: commitUrn }));
+    newRequest.payload = { etag: 1, body: { sha: document.sha, files: patches } };
+    newRequest.policy = newPolicy;
+    request.queueRequests(newRequest);
+  }
+
+  commit_patch(request) {
+    request.linkResource('self', `${request.context.qualifier}:commit_patch`);
+    request.linkResource('commit', request.context.qualifier);
+    return request.document;
+  }
+
   // It looks like there are only pull request review comments now. Pull request commit comments may not exist anymore.
   pull_request_commit_comment(request) {
     return this.commit_comment(request, true);
   }
 
   commit_comment(request, isPullRequest = false) {
-    // TODO links to consider
-    // * reactions -- get this by using the following Accept header: application/vnd.github.squirrel-girl-preview
+    if (this._isOutsideWindow(request)) {
+      return request.document;
+    }
     const document = request.document;
     const context = request.context;
     request.addSelfLink();
@@ -269,10 +610,14 @@ class GitHubProcessor {
     request.linkSiblings(`${context.qualifier}:${commitName}_comments`);
 
     this._addRoot(request, 'user', 'user');
+    this._addReactions(request);
     return document;
   }
 
   pull_request(request) {
+    if (this._isOutsideWindow(request)) {
+      return request.document;
+    }
     const document = request.document;
     const context = request.context;
     request.addSelfLink();
@@ -287,17 +632,30 @@ class GitHubProcessor {
     }
     this._addRoot(request, 'base', 'repo', document.base.repo.url, `urn:repo:${document.base.repo.id}`);
 
-    this._addCollection(request, 'reviews', 'review', `${document._links.self.href}/reviews`);
+    // pull requests fetched with GraphQL may have their reviews and commits embedded. Use them rather than fetching.
+    const embedded = document._embedded || {};
+    delete document._embedded;
+    if (embedded.reviews) {
+      this._addEmbeddedCollection(request, 'reviews', 'review', embedded.reviews, review => `${document._links.self.href}/reviews/${review.id}`);
+    } else {
+      this._addCollection(request, 'reviews', 'review', `${document._links.self.href}/reviews`);
+    }
     if (document._links.review_comments && document.comments) {
       this._addCollection(request, 'review_comments', 'review_comment', document._links.review_comments.href);
     }
     if (document._links.statuses) {
-      const sha = document._links.statuses.href.split('/').slice(-1)[0];
-      this._addCollection(request, 'statuses', 'status', document._links.statuses.href, `${context.qualifier}:commit:${sha}:statuses`);
-      // this._addResource(request, 'status', 'status', null, statusUrl, `${context.qualifier}:commits:${sha}:status`);
+      // statuses hang off the head commit rather than the pull request itself.
+      const statusesUrl = document._links.statuses.href;
+      const sha = statusesUrl.split('/').slice(-1)[0];
+      const commitUrn = `${context.qualifier}:commit:${sha}`;
+      this._addCollection(request, 'statuses', 'status', statusesUrl, `${commitUrn}:statuses`, commitUrn);
+      const combinedUrl = `${statusesUrl.replace(/\/statuses\/([^/]*)$/, '/commits/$1')}/status`;
+      this._addResource(request, 'combined_status', 'combined_status', null, combinedUrl, `${commitUrn}:combined_status`, commitUrn);
     }
 
-    if (document._links.commits && document.commits) {
+    if (embedded.pull_request_commits) {
+      this._addEmbeddedCollection(request, 'pull_request_commits', 'pull_request_commit', embedded.pull_request_commits, commit => commit.url);
+    } else if (document._links.commits && document.commits) {
       this._addCollection(request, 'pull_request_commits', 'pull_request_commit', document._links.commits.href);
     }
 
@@ -322,8 +680,9 @@ class GitHubProcessor {
   }
 
   review_comment(request) {
-    // TODO links to consider
-    // * reactions -- get this by using the following Accept header: application/vnd.github.squirrel-girl-preview
+    if (this._isOutsideWindow(request)) {
+      return request.document;
+    }
     const document = request.document;
     const context = request.context;
     request.addSelfLink();
@@ -331,13 +690,14 @@ class GitHubProcessor {
     request.linkSiblings(`${context.qualifier}:review_comments`);
 
     this._addRoot(request, 'user', 'user');
+    this._addReactions(request);
     return document;
   }
 
   issue(request) {
-    // TODO links to consider
-    // * milestone
-    // * reactions -- get this by using the following Accept header: application/vnd.github.squirrel-girl-preview
+    if (this._isOutsideWindow(request)) {
+      return request.document;
+    }
     const document = request.document;
     const context = request.context;
     request.addSelfLink();
@@ -364,18 +724,124 @@ class GitHubProcessor {
       const labelUrns = document.labels.map(label => `${context.qualifier}:label:${label.id}`);
       request.linkResource('labels', labelUrns);
     }
+    // Milestones are harvested through the repo's milestones collection so just link here.
+    if (document.milestone) {
+      request.linkResource('milestone', `${context.qualifier}:milestone:${document.milestone.id}`);
+    }
+    this._addReactions(request);
+    return document;
+  }
+
+  status(request) {
+    const document = request.document;
+    const context = request.context;
+    request.addSelfLink();
+    request.linkResource('commit', context.qualifier);
+    request.linkSiblings(`${context.qualifier}:statuses`);
+
+    this._addRoot(request, 'creator', 'user');
+    return document;
+  }
+
+  combined_status(request) {
+    const document = request.document;
+    const context = request.context;
+    request.linkResource('self', `${context.qualifier}:combined_status`);
+    request.linkResource('commit', context.qualifier);
+    request.linkCollection('statuses', `${context.qualifier}:statuses`);
+    // The combined status carries the latest status for each context inline. Just link to those.
+    const statusUrns = (document.statuses || []).map(status => `${context.qualifier}:status:${status.id}`);
+    request.linkResource('latest_statuses', statusUrns);
+    return document;
+  }
+
+  check_suite(request) {
+    const document = request.document;
+    const context = request.context;
+    request.addSelfLink();
+    request.linkResource('commit', context.qualifier);
+    request.linkSiblings(`${context.qualifier}:check_suites`);
+    request.linkCollection('check_runs', `${context.qualifier}:check_runs`);
+    return document;
+  }
+
+  check_run(request) {
+    const document = request.document;
+    const context = request.context;
+    request.addSelfLink();
+    request.linkResource('commit', context.qualifier);
+    request.linkSiblings(`${context.qualifier}:check_runs`);
+    if (document.check_suite) {
+      request.linkResource('check_suite', `${context.qualifier}:check_suite:${document.check_suite.id}`);
+    }
+    return document;
+  }
+
+  branch(request) {
+    const document = request.document;
+    const context = request.context;
+    request.addSelfLink('name');
+    request.linkResource('repo', context.qualifier);
+    request.linkSiblings(`${context.qualifier}:branches`);
+    request.linkResource('commit', `${context.qualifier}:commit:${document.commit.sha}`);
+    // Unprotected branches have no protection resource (GitHub 404s) so there is nothing to fetch.
+    if (document.protected) {
+      const branchUrn = document._metadata.links.self.href;
+      this._addResource(request, 'branch_protection', 'branch_protection', null, document.protection_url, `${branchUrn}:branch_protection`, branchUrn);
+    }
+    return document;
+  }
+
+  branch_protection(request) {
+    const document = request.document;
+    request.linkResource('self', `${request.context.qualifier}:branch_protection`);
+    request.linkResource('branch', request.context.qualifier);
+    return document;
+  }
+
+  label(request) {
+    const document = request.document;
+    const context = request.context;
+    request.addSelfLink();
+    request.linkResource('repo', context.qualifier);
+    request.linkSiblings(`${context.qualifier}:labels`);
+    return document;
+  }
+
+  milestone(request) {
+    const document = request.document;
+    const context = request.context;
+    request.addSelfLink();
+    request.linkResource('repo', context.qualifier);
+    request.linkSiblings(`${context.qualifier}:milestones`);
+
+    this._addRoot(request, 'creator', 'user');
     return document;
   }
 
   issue_comment(request) {
-    // TODO links to consider
-    // * reactions -- get this by using the following Accept header: application/vnd.github.squirrel-girl-preview
+    if (this._isOutsideWindow(request)) {
+      return request.document;
+    }
     const document = request.document;
     const context = request.context;
     request.addSelfLink();
     request.linkResource('issue', context.qualifier);
     request.linkSiblings(`${context.qualifier}:issue_comments`);
 
+    this._addRoot(request, 'user', 'user');
+    this._addReactions(request);
+    return document;
+  }
+
+  reaction(request) {
+    const document = request.document;
+    const context = request.context;
+    request.addSelfLink();
+    request.linkSiblings(`${context.qualifier}:reactions`);
+    // the qualifier is the reacted-to entity so link back to it using its type (e.g., issue, issue_comment)
+    request.linkResource(context.qualifier.split(':').slice(-2)[0], context.qualifier);
+
     this._addRoot(request, 'user', 'user');
     return document;
   }
@@ -398,6 +864,63 @@ class GitHubProcessor {
     request.linkSiblings(`${context.qualifier}:deployments`);
     request.linkResource('commit', `${context.qualifier}:commit:${document.sha}`);
     this._addRoot(request, 'creator', 'user');
+    this._addCollection(request, 'deployment_statuses', 'deployment_status', document.statuses_url);
+    if (document.environment) {
+      // environment names can have spaces and the like. The URN keeps the name as is.
+      const url = `${document.repository_url}/environments/${encodeURIComponent(document.environment)}`;
+      this._addResource(request, 'environment', 'environment', document.environment, url, null, context.qualifier);
+    }
+    return document;
+  }
+
+  deployment_status(request) {
+    const context = request.context;
+    request.addSelfLink();
+    request.linkSiblings(`${context.qualifier}:deployment_statuses`);
+    request.linkResource('deployment', context.qualifier);
+    this._addRoot(request, 'creator', 'user');
+    return request.document;
+  }
+
+  environment(request) {
+    const context = request.context;
+    request.addSelfLink('name');
+    request.linkSiblings(`${context.qualifier}:environments`);
+    request.linkResource('repo', context.qualifier);
+    return request.document;
+  }
+
+  release(request) {
+    const document = request.document;
+    const context = request.context;
+    request.addSelfLink();
+    request.linkSiblings(`${context.qualifier}:releases`);
+    request.linkResource('tag', `${context.qualifier}:tag:${document.tag_name}`);
+    // target_commitish is either a branch name or a commit SHA. Only the latter identifies a commit.
+    if (/^[0-9a-f]{40}$/.test(document.target_commitish)) {
+      request.linkResource('commit', `${context.qualifier}:commit:${document.target_commitish}`);
+    }
+    this._addRoot(request, 'author', 'user');
+
+    // The release already carries its asset metadata. Only go get the assets themselves if there are some and
+    // this resource is being processed (vs. traversed).  Either way, link to the asset collection for future use.
+    const assetsUrn = `${document._metadata.links.self.href}:release_assets`;
+    if (document.assets_url && document.assets && document.assets.length > 0 && request.processMode === 'process') {
+      this._addCollection(request, 'release_assets', 'release_asset', document.assets_url, assetsUrn);
+    } else {
+      request.linkCollection('release_assets', assetsUrn);
+    }
+    return document;
+  }
+
+  release_asset(request) {
+    const document = request.document;
+    const context = request.context;
+    request.addSelfLink();
+    request.linkResource('release', context.qualifier);
+    request.linkSiblings(`${context.qualifier}:release_assets`);
+
+    this._addRoot(request, 'uploader', 'user');
     return document;
   }
 
@@ -433,6 +956,24 @@ class GitHubProcessor {
     return request.document;
   }
 
+  languages(request) {
+    return this._repoChild(request, 'languages');
+  }
+
+  license(request) {
+    return this._repoChild(request, 'license');
+  }
+
+  community_profile(request) {
+    return this._repoChild(request, 'community_profile');
+  }
+
+  _repoChild(request, name) {
+    request.linkResource('self', `${request.context.qualifier}:${name}`);
+    request.linkResource('repo', request.context.qualifier);
+    return request.document;
+  }
+
   // ===============  Event Processors  ============
 
   // An event in a repo or org has been detected. Queue up a request to update the events for
@@ -449,7 +990,7 @@ class GitHubProcessor {
     } else {
       // Otherwise, this is as good as it is going to get so queue the webhook event directly.
       const type = this._getTranslatedEventType(request.payload.type);
-      const newContext = extend(true, {}, { history: request.context.history });
+      const newContext = extend(true, {}, this._getChildContext(request));
       const newRequest = new Request(type, request.url, newContext);
       newRequest.payload = request.payload;
       request.queueRequests(newRequest, 'immediate');
@@ -458,7 +999,7 @@ class GitHubProcessor {
   }
 
   _isEventVisibleInTimeline(type, action) {
-    if (['deployment', 'deployment_status', 'label', 'membership', 'milestone', 'organization',
+    if (['check_run', 'check_suite', 'deployment', 'deployment_status', 'label', 'membership', 'milestone', 'organization',
       'page_build', 'repository', 'status', 'team', 'team_add', 'star'].includes(type)) {
       return false;
     }
@@ -479,6 +1020,8 @@ class GitHubProcessor {
 
   _getTranslatedEventType(type) {
     const eventTypes = {
+      check_run: 'CheckRunEvent',
+      check_suite: 'CheckSuiteEvent',
       deployment: 'DeploymentEvent',
       deployment_status: 'DeploymentStatusEvent',
       issues: 'IssuesEvent',
@@ -513,7 +1056,7 @@ class GitHubProcessor {
         // is in the payload), it will need to be unique for the queue tagging/optimization
         // Events are immutable (and we can't fetch them later) so set the etag to a constant
         const baseUrl = request.url.split("?")[0];
-        const newContext = extend(true, {}, { history: request.context.history });
+        const newContext = extend(true, {}, this._getChildContext(request));
         const newRequest = new Request(event.type, `${baseUrl}/${event.id}`, newContext);
         newRequest.policy = TraversalPolicy.event(event.type);
         newRequest.payload = { etag: 1, body: event };
@@ -545,6 +1088,20 @@ class GitHubProcessor {
     return document;
   }
 
+  CheckRunEvent(request) {
+    let [, repo, payload] = this._addEventBasics(request);
+    const qualifier = `urn:repo:${repo}:commit:${payload.check_run.head_sha}`;
+    request.linkResource('commit', qualifier);
+    return this._addEventResource(request, repo, 'check_run', 'check_run', qualifier);
+  }
+
+  CheckSuiteEvent(request) {
+    let [, repo, payload] = this._addEventBasics(request);
+    const qualifier = `urn:repo:${repo}:commit:${payload.check_suite.head_sha}`;
+    request.linkResource('commit', qualifier);
+    return this._addEventResource(request, repo, 'check_suite', 'check_suite', qualifier);
+  }
+
   CommitCommentEvent(request) {
     let [document, repo, payload] = this._addEventBasics(request);
     let url = `${document.repo.url}/commits/${payload.comment.commit_id}`;
@@ -558,33 +1115,45 @@ class GitHubProcessor {
   }
 
   CreateEvent(request) {
-    let [document] = this._addEventBasics(request);
+    let [document, repo, payload] = this._addEventBasics(request);
     request.linkResource('repository', document._metadata.links.repo.href);
+    if (payload.ref_type === 'branch') {
+      this._addBranchEventResource(request, repo, payload.ref);
+    }
     return document;
   }
 
   DeleteEvent(request) {
-    // TODO do something for interesting deletions e.g.,  where ref-type === 'repository'
-    let [document] = this._addEventBasics(request);
+    // TODO do something for other interesting deletions e.g.,  where ref-type === 'repository'
+    let [document, repo, payload] = this._addEventBasics(request);
+    if (payload.ref_type === 'branch') {
+      const context = { deletedAt: request.payload.fetchedAt };
+      this._addBranchEventResource(request, repo, payload.ref, context, this._getNextDeletedPolicy());
+    }
     return document;
   }
 
+  _addBranchEventResource(request, repo, name, context = {}, policy = null) {
+    const document = request.document;
+    const url = `${(document.repo || document.repository).url}/branches/${name}`;
+    return this._addEventResourceExplicit(request, 'branch', name, url, 'branch', `urn:repo:${repo}`, context, policy);
+  }
+
   DeploymentEvent(request) {
     let [, repo] = this._addEventBasics(request);
     return this._addEventResource(request, repo, 'deployment');
   }
 
   DeploymentStatusEvent(request) {
-    let [, repo] = this._addEventBasics(request);
-    // TODO figure out how to do this more deeply nested structure
-    // request.linkResource('deployment_status', `urn:repo:${repo}:deployment:${payload.deployment.id}:status:${payload.deployment_status.id}`);
-    return this._addEventResource(request, repo, 'deployment');
+    let [, repo, payload] = this._addEventBasics(request);
+    this._addEventResource(request, repo, 'deployment');
+    const qualifier = `urn:repo:${repo}:deployment:${payload.deployment.id}`;
+    return this._addEventResource(request, repo, 'deployment_status', 'deployment_status', qualifier);
   }
 
   ForkEvent(request) {
-    // TODO figure out what else to do
-    let [document] = this._addEventBasics(request);
-    return document;
+    this._addEventBasics(request);
+    return this._addEventResource(request, null, 'forkee', 'repo');
   }
 
   GollumEvent(request) {
@@ -622,8 +1191,13 @@ class GitHubProcessor {
   }
 
   LabelEvent(request) {
-    let [document] = this._addEventBasics(request);
-    return document;
+    let [, repo, payload] = this._addEventBasics(request);
+    if (payload.action === 'deleted') {
+      const context = { deletedAt: request.payload.fetchedAt };
+      const policy = this._getNextDeletedPolicy();
+      return this._addEventResource(request, repo, 'label', 'label', null, context, policy);
+    }
+    return this._addEventResource(request, repo, 'label');
   }
 
   MemberEvent(request) {
@@ -650,16 +1224,24 @@ class GitHubProcessor {
   }
 
   MilestoneEvent(request) {
-    // TODO complete implementation and add Milestone handler
-    // let [, repo] = this._addEventBasics(request);
-    // const context = (payload.action === 'deleted') ? { deletedAt: request.payload.fetchedAt } : {};
-    // return this._addEventResource(request, repo, 'milestone', null, null, context);
-    let [document] = this._addEventBasics(request);
-    return document;
+    let [, repo, payload] = this._addEventBasics(request);
+    if (payload.action === 'deleted') {
+      const context = { deletedAt: request.payload.fetchedAt };
+      const policy = this._getNextDeletedPolicy();
+      return this._addEventResource(request, repo, 'milestone', 'milestone', null, context, policy);
+    }
+    return this._addEventResource(request, repo, 'milestone');
   }
 
   OrganizationEvent(request) {
     let [document, , payload] = this._addEventBasics(request);
+    if (['member_added', 'member_removed'].includes(payload.action) && payload.membership) {
+      const membership = payload.membership;
+      const context = payload.action === 'member_removed' ? { deletedAt: request.payload.fetchedAt } : {};
+      const policy = payload.action === 'member_removed' ? this._getNextDeletedPolicy() : null;
+      const qualifier = document._metadata.links.org.href;
+      return this._addEventResourceExplicit(request, 'membership', membership.user.id, membership.url, 'org_membership', qualifier, context, policy);
+    }
     if (payload.action === 'renamed') {
       const policy = TraversalPolicy.reload('org');
       return this._addEventResource(request, null, 'organization', 'org', null, {}, policy);
@@ -697,7 +1279,7 @@ class GitHubProcessor {
   PullRequestEvent(request) {
     let [, repo, payload] = this._addEventBasics(request);
     const newPolicy = request.getNextPolicy('issue');
-    request.queue('issue', payload.pull_request.issue_url, newPolicy, { qualifier: `urn:repo:${repo}`, history: request.context.history });
+    request.queue('issue', payload.pull_request.issue_url, newPolicy, { qualifier: `urn:repo:${repo}` });
     return this._addEventResource(request, repo, 'pull_request');
   }
 
@@ -755,7 +1337,7 @@ class GitHubProcessor {
     request.linkCollection('commits', `${qualifier}:commits`);
     const commits = payload.commits || [];
     const newRequests = commits.map(commit => {
-      const newContext = extend(true, {}, { history: request.context.history, qualifier: qualifier });
+      const newContext = extend(true, {}, this._getChildContext(request, { qualifier: qualifier }));
       const newRequest = new Request('commit', commit.url, newContext);
       newRequest.policy = request.getNextPolicy('commits');
       return newRequest.policy ? newRequest : null;
@@ -765,11 +1347,8 @@ class GitHubProcessor {
   }
 
   ReleaseEvent(request) {
-    // TODO complete implementation and add a Release handler
-    // let [, repo] = this._addEventBasics(request);
-    // return this._addEventResource(request, repo, 'release');
-    let [document] = this._addEventBasics(request);
-    return document;
+    let [, repo] = this._addEventBasics(request);
+    return this._addEventResource(request, repo, 'release');
   }
 
   RepositoryEvent(request) {
@@ -793,9 +1372,34 @@ class GitHubProcessor {
   }
 
   StatusEvent(request) {
-    // TODO complete this by adding a status handler and linking/queuing the status here.
     let [document, , payload] = this._addEventBasics(request);
-    request.linkResource('commit', `${document._metadata.links.repo.href}:commit:${payload.sha}`);
+    const commitUrn = `${document._metadata.links.repo.href}:commit:${payload.sha}`;
+    request.linkResource('commit', commitUrn);
+
+    // Statuses cannot be fetched individually so queue the status carrying the content found in the event.
+    const repoUrl = (document.repo || document.repository).url;
+    const status = {
+      id: payload.id,
+      state: payload.state,
+      description: payload.description,
+      target_url: payload.target_url,
+      context: payload.context,
+      created_at: payload.created_at,
+      updated_at: payload.updated_at,
+      creator: document.sender
+    };
+    request.linkResource('status', `${commitUrn}:status:${payload.id}`);
+    const newContext = extend(true, {}, this._getChildContext(request, { qualifier: commitUrn }));
+    const newRequest = new Request('status', `${repoUrl}/statuses/${payload.sha}/${payload.id}`, newContext);
+    newRequest.payload = { etag: 1, body: status, fetchedAt: request.payload.fetchedAt };
+    newRequest.policy = request.getNextPolicy('status');
+    if (newRequest.policy) {
+      request.queueRequests(newRequest);
+    }
+
+    // Also refresh the combined view of the commit's statuses
+    const combinedUrl = `${repoUrl}/commits/${payload.sha}/status`;
+    this._addResource(request, 'combined_status', 'combined_status', null, combinedUrl, `${commitUrn}:combined_status`, commitUrn);
     return document;
   }
 
@@ -836,11 +1440,58 @@ class GitHubProcessor {
 
   isCollectionType(request) {
     const collections = new Set([
-      'collaborators', 'commit_comments', 'commits', 'contributors', 'events', 'issues', 'issue_comments', 'members', 'orgs', 'pull_request_commit_comments', 'pull_request_commits', 'repos', 'reviews', 'review_comments', 'subscribers', 'stargazers', 'statuses', 'teams'
+      'branches', 'collaborators', 'commit_comments', 'commits', 'contributors', 'deployments', 'deployment_statuses', 'events', 'followers', 'following', 'forks', 'hooks', 'invitations', 'issues', 'issue_comments', 'labels', 'members', 'memberships', 'milestones', 'orgs', 'outside_collaborators', 'pull_request_commit_comments', 'pull_request_commits', 'reactions', 'release_assets', 'releases', 'repos', 'reviews', 'review_comments', 'starred', 'subscribers', 'subscriptions', 'stargazers', 'statuses', 'teams'
     ]);
     return collections.has(request.type);
   }
 
+  // Pages are fetched using their stored etags. If a page comes back 304 and the policy does not need to walk unchanged
+  // content, skip it. For the first page this short-circuits the whole collection as later pages are never queued.
+  _isUnchangedPage(request) {
+    if (request.contentOrigin !== 'cacheOfOrigin' || request.policy.shouldTraverseUnchanged(request)) {
+      return false;
+    }
+    request.markSkip('Unmodified', 'Collection page unchanged at origin');
+    return true;
+  }
+
+  // Child requests carry the history of how they were reached and any date window the crawl is scoped to.
+  _getChildContext(request, context = {}) {
+    const result = Object.assign(context, { history: request.context.history });
+    if (request.context.since) {
+      result.since = request.context.since;
+    }
+    if (request.context.until) {
+      result.until = request.context.until;
+    }
+    return result;
+  }
+
+  /**
+   * Answer whether or not the given element of the given type was active within the since/until window (if any) of
+   * the context. That is, it was updated after since and created before until. Elements without activity dates are
+   * always in the window.
+   */
+  _isInWindow(context, type, element) {
+    if (!context.since && !context.until) {
+      return true;
+    }
+    const dates = getActivityDates(type, element);
+    if (!dates) {
+      return true;
+    }
+    const [created, updated] = dates.map(date => new Date(date).getTime());
+    return !(context.since && updated < new Date(context.since).getTime()) && !(context.until && created > new Date(context.until).getTime());
+  }
+
+  _isOutsideWindow(request) {
+    if (this._isInWindow(request.context, request.type, request.document)) {
+      return false;
+    }
+    request.markSkip('Outside window', `${request.type} was not active between ${request.context.since || 'the start'} and ${request.context.until || 'now'}`);
+    return true;
+  }
+
   isRootType(type) {
     const roots = new Set(['orgs', 'org', 'repos', 'repo', 'teams', 'team', 'user', 'members']);
     return roots.has(type);
@@ -855,7 +1506,7 @@ class GitHubProcessor {
     const page = parsed.query.page;
     // TODO / check is a temporary measure to work around a queuing bug. Remove once queue is cleared
     if (page && !parsed.query.per_page.includes('/')) {
-      return this.page.bind(this, page);
+      return this._laterPage.bind(this, page);
     }
     if (this.isCollectionType(request)) {
       return this.collection;
@@ -906,7 +1557,7 @@ class GitHubProcessor {
     context.qualifier = qualifier;
     const separator = qualifier.endsWith(':') ? '' : ':';
     request.linkResource(name, `${qualifier}${separator}${type}:${payload[name].id}`);
-    const newContext = extend(true, {}, context, { history: request.context.history, qualifier: qualifier });
+    const newContext = extend(true, {}, context, this._getChildContext(request, { qualifier: qualifier }));
     const newRequest = new Request(type, payload[name].url, newContext);
     newRequest.policy = policy || request.getNextPolicy(name);
     if (newRequest.policy) {
@@ -920,7 +1571,7 @@ class GitHubProcessor {
     context.qualifier = qualifier;
     const separator = qualifier.endsWith(':') ? '' : ':';
     request.linkResource(name, `${qualifier}${separator}${type}:${id}`);
-    const newContext = extend(true, {}, context, { history: request.context.history, qualifier: qualifier });
+    const newContext = extend(true, {}, context, this._getChildContext(request, { qualifier: qualifier }));
     const newRequest = new Request(type, url, newContext);
     newRequest.policy = policy || request.getNextPolicy(name);
     if (newRequest.policy) {
@@ -953,17 +1604,53 @@ class GitHubProcessor {
     request.queue(type, url, newPolicy, { qualifier: qualifier });
   }
 
-  _addCollection(request, name, type, url = null, urn = null) {
+  _addCollection(request, name, type, url = null, urn = null, elementQualifier = null) {
     const qualifier = this._getQualifier(request);
     urn = urn || `${qualifier}:${name}`;
     url = url || request.document[`${name}_url`];
 
     request.linkCollection(name, urn);
     const newPolicy = request.getNextPolicy(name);
-    const newContext = { qualifier: request.document._metadata.links.self.href, elementType: type };
+    const newContext = { qualifier: elementQualifier || request.document._metadata.links.self.href, elementType: type };
     request.queue(name, url, newPolicy, newContext);
   }
 
+  /**
+   * Link a collection whose elements came embedded in the current document and queue the elements carrying their
+   * content, much like events. This saves fetching the collection and then each of its elements.
+   */
+  _addEmbeddedCollection(request, name, type, elements, getUrl) {
+    request.linkCollection(name, `${this._getQualifier(request)}:${name}`);
+    const newPolicy = request.getNextPolicy(name);
+    if (!newPolicy) {
+      return;
+    }
+    const qualifier = request.document._metadata.links.self.href;
+    const requests = elements.filter(element => this._isInWindow(request.context, type, element)).map(element => {
+      const newRequest = new Request(type, getUrl(element), this._getChildContext(request, { qualifier: qualifier }));
+      newRequest.payload = { etag: 1, body: element };
+      newRequest.policy = newPolicy;
+      return newRequest;
+    });
+    request.queueRequests(requests);
+  }
+
+  /**
+   * Link the current reactable document (e.g., issue, comment) to its reactions and, if the rolled up summary does
+   * not say there are none and this resource is being processed (vs. traversed), queue the reactions collection.
+   * Whether or not the reactions are actually walked is up to the visitor map in use.
+   */
+  _addReactions(request) {
+    const document = request.document;
+    const urn = `${document._metadata.links.self.href}:reactions`;
+    const summary = document.reactions;
+    if (request.processMode === 'process' && (!summary || summary.total_count > 0)) {
+      this._addCollection(request, 'reactions', 'reaction', `${document.url}/reactions`, urn);
+    } else {
+      request.linkCollection('reactions', urn);
+    }
+  }
+
   _addRoot(request, name, type, url = null, urn = null, queue = true) {
     let element = request.document[name];
     if (!element) {
@@ -1031,10 +1718,26 @@ class GitHubProcessor {
     request.linkResource(relation.origin, `${qualifier}`);
     request.linkSiblings(`${relation.qualifier}:pages`);
     request.linkCollection('unique', `${relation.qualifier}:pages:${relation.guid}`);
-    const urns = document.elements.map(element => `urn:${relation.type}:${element['id']}`);
+    // Root typed elements (e.g., users) stand alone. Others (e.g., hooks) live under the relation's origin.
+    const prefix = this.isRootType(relation.type) ? 'urn:' : `${qualifier}:`;
+    const urns = document.elements.map(element => `${prefix}${relation.type}:${element['id']}`);
     request.linkResource('resources', urns);
     return document;
   }
 }
 
+// Return the [created, updated] dates of an element of a type that can be scoped to a date window, null otherwise.
+function getActivityDates(type, element) {
+  if (['commit', 'pull_request_commit'].includes(type)) {
+    const date = element.commit && element.commit.committer ? element.commit.committer.date : null;
+    return date ? [date, date] : null;
+  }
+  if (!['issue', 'pull_request', 'issue_comment', 'review_comment', 'commit_comment', 'pull_request_commit_comment'].includes(type)) {
+    return null;
+  }
+  const created = element.created_at || element.updated_at;
+  const updated = element.updated_at || element.created_at;
+  return created ? [created, updated] : null;
+}
+
 module.exports = GitHubProcessor;
\ No newline at end of file
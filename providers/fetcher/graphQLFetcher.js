@@ -0,0 +1,278 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const Q = require('q');
+const TokenFactory = require('./tokenFactory');
+const URL = require('url');
+
+const userFragment = '__typename login ... on User { databaseId } ... on Bot { databaseId } ... on Organization { databaseId }';
+const gitActorFragment = `name email date user { ${userFragment} }`;
+
+const pullRequestQuery = `query($owner: String!, $name: String!, $number: Int!) {
+  rateLimit { cost remaining resetAt }
+  repository(owner: $owner, name: $name) {
+    pullRequest(number: $number) {
+      databaseId number title body state locked merged mergeable
+      createdAt updatedAt closedAt mergedAt
+      additions deletions changedFiles
+      author { ${userFragment} }
+      mergedBy { ${userFragment} }
+      assignees(first: 100) { nodes { login databaseId } }
+      baseRefName baseRefOid baseRepository { databaseId nameWithOwner }
+      headRefName headRefOid headRepository { databaseId nameWithOwner }
+      labels(first: 100) { nodes { name color description } }
+      comments { totalCount }
+      reviews(first: 100) {
+        totalCount
+        nodes { databaseId body state submittedAt commit { oid } author { ${userFragment} } }
+      }
+      commits(first: 100) {
+        totalCount
+        nodes {
+          commit {
+            oid message
+            author { ${gitActorFragment} }
+            committer { ${gitActorFragment} }
+            comments { totalCount }
+            parents(first: 10) { nodes { oid } }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+// Fetches documents from the GitHub GraphQL (v4) API and reshapes them into the REST (v3) form the
+// processor expects. Collections that fit in the first page of the query (e.g., reviews) are embedded
+// in the document for the processor to use in place of the REST calls.
+//
+// GraphQL rate limiting is point based and separate from the REST limit so the query asks for the
+// rateLimit object and tracks it here, per token. Tokens out of points are reported as exhausted so the
+// caller can use REST instead. GraphQL has no etags so one is derived from the update time of the document.
+class GraphQLFetcher {
+
+  constructor(requestor, options) {
+    this.requestor = requestor;
+    this.options = options;
+    this.logger = options.logger;
+    this.rateLimits = {};
+  }
+
+  canFetch(type) {
+    return !!this._getTypeDetails(type);
+  }
+
+  isExhausted(token) {
+    const limit = this.rateLimits[TokenFactory.getTokenKey(token)];
+    return !!limit && limit.remaining <= 0 && limit.reset > Date.now();
+  }
+
+  // Answer a REST shaped response for the request or null if the token ran out of GraphQL points.
+  get(request, token, etag = null) {
+    const details = this._getTypeDetails(request.type);
+    const variables = details.variables(request.url);
+    if (!variables) {
+      return Q.reject(new Error(`Cannot build GraphQL query for ${request.url}`));
+    }
+    const deferred = Q.defer();
+    this.requestor({
+      method: 'POST',
+      url: this.options.graphQLUrl || 'https://api.github.com/graphql',
+      headers: {
+        authorization: `bearer ${token}`,
+        'User-Agent': 'ghcrawler'
+      },
+      json: { query: details.query, variables: variables },
+      time: true
+    }, (error, response, body) => {
+      if (error) {
+        return deferred.reject(error);
+      }
+      try {
+        deferred.resolve(this._toRestResponse(request, token, etag, response, body, details));
+      } catch (error) {
+        deferred.reject(error);
+      }
+    });
+    return deferred.promise;
+  }
+
+  _toRestResponse(request, token, etag, response, body, details) {
+    const result = {
+      statusCode: response.statusCode,
+      headers: {},
+      body: body,
+      elapsedTime: response.elapsedTime
+    };
+    if (response.statusCode !== 200) {
+      return result;
+    }
+    const errors = body.errors || [];
+    this._recordRateLimit(token, body.data && body.data.rateLimit, errors);
+    if (errors.some(error => error.type === 'RATE_LIMITED')) {
+      return null;
+    }
+    if (errors.some(error => error.type === 'NOT_FOUND')) {
+      result.statusCode = 404;
+      return result;
+    }
+    if (errors.length) {
+      throw new Error(`GraphQL error for ${request.url}: ${errors[0].message}`);
+    }
+    result.body = details.translate(request.url, body.data);
+    result.headers.etag = `W/"graphql:${result.body.updated_at}"`;
+    if (etag && etag === result.headers.etag) {
+      result.statusCode = 304;
+      result.body = null;
+    }
+    return result;
+  }
+
+  _recordRateLimit(token, rateLimit, errors) {
+    const key = TokenFactory.getTokenKey(token);
+    if (rateLimit) {
+      this.rateLimits[key] = { remaining: rateLimit.remaining, reset: new Date(rateLimit.resetAt).getTime() };
+    }
+    if (errors.some(error => error.type === 'RATE_LIMITED')) {
+      // the reset time is not reported with the error so fall back to what we last knew, or the hourly window
+      const limit = this.rateLimits[key];
+      const reset = limit && limit.reset > Date.now() ? limit.reset : Date.now() + 60 * 60 * 1000;
+      this.rateLimits[key] = { remaining: 0, reset: reset };
+      this.logger.info('Exceeded ', `GraphQL rate limit for token ${key}. Using REST until ${new Date(reset).toISOString()}`);
+    }
+  }
+
+  _getTypeDetails(type) {
+    return {
+      pull_request: { query: pullRequestQuery, variables: pullRequestVariables, translate: translatePullRequest }
+    }[type];
+  }
+}
+
+function pullRequestVariables(url) {
+  const match = /\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)$/.exec(URL.parse(url).pathname);
+  return match ? { owner: match[1], name: match[2], number: parseInt(match[3], 10) } : null;
+}
+
+function translatePullRequest(url, data) {
+  const pr = data.repository.pullRequest;
+  const apiBase = getApiBase(url);
+  const self = url.split('?')[0];
+  const baseRepo = translateRepo(apiBase, pr.baseRepository);
+  const issueUrl = `${baseRepo.url}/issues/${pr.number}`;
+  const assignees = pr.assignees.nodes.map(node => translateUser(apiBase, node));
+  const embedded = {};
+  if (pr.reviews.totalCount <= pr.reviews.nodes.length) {
+    embedded.reviews = pr.reviews.nodes.map(node => translateReview(apiBase, self, node));
+  }
+  if (pr.commits.totalCount <= pr.commits.nodes.length) {
+    embedded.pull_request_commits = pr.commits.nodes.map(node => translateCommit(apiBase, baseRepo, node.commit));
+  }
+  return {
+    id: pr.databaseId,
+    url: self,
+    number: pr.number,
+    title: pr.title,
+    body: pr.body,
+    state: pr.state === 'OPEN' ? 'open' : 'closed',
+    locked: pr.locked,
+    merged: pr.merged,
+    mergeable: pr.mergeable === 'UNKNOWN' ? null : pr.mergeable === 'MERGEABLE',
+    created_at: pr.createdAt,
+    updated_at: pr.updatedAt,
+    closed_at: pr.closedAt,
+    merged_at: pr.mergedAt,
+    user: translateUser(apiBase, pr.author),
+    merged_by: translateUser(apiBase, pr.mergedBy),
+    assignee: assignees.length ? assignees[0] : null,
+    assignees: assignees,
+    labels: pr.labels.nodes.map(label => {
+      return { name: label.name, color: label.color, description: label.description };
+    }),
+    base: { ref: pr.baseRefName, sha: pr.baseRefOid, repo: baseRepo },
+    head: { ref: pr.headRefName, sha: pr.headRefOid, repo: translateRepo(apiBase, pr.headRepository) },
+    comments: pr.comments.totalCount,
+    commits: pr.commits.totalCount,
+    additions: pr.additions,
+    deletions: pr.deletions,
+    changed_files: pr.changedFiles,
+    _links: {
+      self: { href: self },
+      issue: { href: issueUrl },
+      comments: { href: `${issueUrl}/comments` },
+      review_comments: { href: `${self}/comments` },
+      commits: { href: `${self}/commits` },
+      statuses: { href: `${baseRepo.url}/statuses/${pr.headRefOid}` }
+    },
+    _embedded: embedded
+  };
+}
+
+function translateReview(apiBase, pullRequestUrl, node) {
+  return {
+    id: node.databaseId,
+    user: translateUser(apiBase, node.author),
+    body: node.body,
+    state: node.state,
+    commit_id: node.commit ? node.commit.oid : null,
+    submitted_at: node.submittedAt,
+    pull_request_url: pullRequestUrl,
+    _links: { pull_request: { href: pullRequestUrl } }
+  };
+}
+
+function translateCommit(apiBase, repo, commit) {
+  const url = `${repo.url}/commits/${commit.oid}`;
+  return {
+    sha: commit.oid,
+    url: url,
+    comments_url: `${url}/comments`,
+    commit: {
+      message: commit.message,
+      author: translateGitActor(commit.author),
+      committer: translateGitActor(commit.committer),
+      comment_count: commit.comments.totalCount
+    },
+    author: commit.author ? translateUser(apiBase, commit.author.user) : null,
+    committer: commit.committer ? translateUser(apiBase, commit.committer.user) : null,
+    parents: commit.parents.nodes.map(parent => {
+      return { sha: parent.oid, url: `${repo.url}/commits/${parent.oid}` };
+    })
+  };
+}
+
+function translateGitActor(actor) {
+  return actor ? { name: actor.name, email: actor.email, date: actor.date } : null;
+}
+
+// Only users, bots and organizations exist in the REST API. Others (e.g., mannequins of imported users) are dropped
+// rather than given urls that do not resolve.
+function translateUser(apiBase, node) {
+  // deleted users (ghost) come back as null
+  if (!node) {
+    return null;
+  }
+  if (node.__typename === 'Bot') {
+    // REST names bots with a [bot] suffix (e.g., dependabot[bot])
+    const login = `${node.login}[bot]`;
+    return { id: node.databaseId, login: login, url: `${apiBase}/users/${encodeURIComponent(login)}` };
+  }
+  if (node.__typename && !['User', 'Organization'].includes(node.__typename)) {
+    return null;
+  }
+  return { id: node.databaseId, login: node.login, url: `${apiBase}/users/${node.login}` };
+}
+
+function translateRepo(apiBase, node) {
+  // the head repo is null if the fork has been deleted
+  if (!node) {
+    return null;
+  }
+  return { id: node.databaseId, full_name: node.nameWithOwner, url: `${apiBase}/repos/${node.nameWithOwner}` };
+}
+
+function getApiBase(url) {
+  return url.slice(0, url.indexOf('/repos/'));
+}
+
+module.exports = GraphQLFetcher;
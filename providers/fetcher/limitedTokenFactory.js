@@ -2,6 +2,7 @@
 // Licensed under the MIT License.
 
 const Q = require('q');
+const TokenFactory = require('./tokenFactory');
 
 class LimitedTokenFactory {
   constructor(factory, limiter, options) {
@@ -14,15 +15,15 @@ class LimitedTokenFactory {
   /**
    * Find all of the tokens that match the given traits and return a random one that is
    * not on the bench.  If no candidates are found, return either the soonest time one will
-   * come off the bench or null if there simply were none.
+   * come off the bench or null if there simply were none. Tokens scoped to the given org are preferred.
    */
-  getToken(traits) {
-    const token = this.factory.getToken(traits);
+  getToken(traits, org = null) {
+    const token = this.factory.getToken(traits, org);
     if (token === null || typeof token === 'number') {
       return Q(token);
     }
     const deferred = Q.defer();
-    const key = token.slice(0, 4);
+    const key = TokenFactory.getTokenKey(token);
     this.limiter({ key: key }, (error, rate) => {
       if (error) {
         return deferred.reject(error);
@@ -33,7 +34,7 @@ class LimitedTokenFactory {
         const delay = Math.floor((this.options.clientCallCapWindow || 1000) / 4);
         let restoreTime = this.exhaust(token, now + delay);
         restoreTime = restoreTime || now;
-        this.logger.info('Exceeded ', `Call cap for token ${token.slice(0, 4)}. Benched until ${restoreTime - now}ms from now`);
+        this.logger.info('Exceeded ', `Call cap for token ${key}. Benched until ${restoreTime - now}ms from now`);
         return deferred.resolve(restoreTime);
       }
       deferred.resolve(token);
@@ -50,6 +51,14 @@ class LimitedTokenFactory {
     return this.factory.exhaust(value, until);
   }
 
+  throttle(value, until) {
+    return this.factory.throttle(value, until);
+  }
+
+  recordOutcome(value, status, remaining, reset) {
+    return this.factory.recordOutcome(value, status, remaining, reset);
+  }
+
   setTokens(tokens) {
     this.factory.setTokens(tokens);
   }
@@ -1,6 +1,9 @@
 // Copyright (c) Microsoft Corporation. All rights reserved.
 // Licensed under the MIT License.
 
+const crypto = require('crypto');
+const Q = require('q');
+
 class TokenFactory {
 
   static createToken(spec) {
@@ -10,6 +13,14 @@ class TokenFactory {
     return { value: value, traits: traits };
   }
 
+  /**
+   * Get the short key used to identify a token in logs, metrics and limiters. Newer GitHub tokens
+   * share a type prefix (e.g., ghs_ for app installations) so skip that to keep the keys distinct.
+   */
+  static getTokenKey(value) {
+    return value.replace(/^gh[a-z]_/, '').slice(0, 4);
+  }
+
   constructor(tokens, options) {
     this.setTokens(tokens);
     this.options = options;
@@ -28,6 +39,20 @@ class TokenFactory {
     this.tokens = tokenSpecs.map(spec => TokenFactory.createToken(spec));
   }
 
+  /**
+   * Share GitHub throttling bench times with other crawler instances through the given store. Tokens
+   * throttled elsewhere are benched here as they are published and any current benches are loaded right away.
+   */
+  setBenchStore(benchStore) {
+    this.benchStore = benchStore;
+    return Q.all([
+      benchStore.subscribe(this._applyBench.bind(this)),
+      benchStore.getAll().then(benches => {
+        Object.getOwnPropertyNames(benches).forEach(id => this._applyBench(id, benches[id]));
+      })
+    ]);
+  }
+
   getAllTokens() {
     return this.tokens;
   }
@@ -37,9 +62,31 @@ class TokenFactory {
    * factory.  From that set return a random one that is not on the bench. If all candidates are benched,
    * return the soonest time one will come off the bench. If no matching tokens are found for a given
    * set, move on to the next set. If no tokens match any of the sets, return null.
+   *
+   * If an org is given, tokens with the matching `org:<login>` trait are preferred. For orgs listed in
+   * the requiredOrgTokens option, only those tokens are used.
    */
-  getToken(desiredTraitSets) {
+  getToken(desiredTraitSets, org = null) {
     desiredTraitSets = (!desiredTraitSets || desiredTraitSets.length === 0) ? [[]] : desiredTraitSets;
+    if (!org) {
+      return this._getTokenFromSets(desiredTraitSets);
+    }
+    org = org.toLowerCase();
+    const orgTraitSets = desiredTraitSets.map(traits => this._addTrait(traits, `org:${org}`));
+    const orgResult = this._getTokenFromSets(orgTraitSets);
+    const required = ((this.options || {}).requiredOrgTokens || []).map(entry => entry.toLowerCase());
+    if (typeof orgResult === 'string' || required.includes(org)) {
+      return orgResult;
+    }
+    // the org's own tokens are all benched or there are none so fall back to the general pool
+    const result = this._getTokenFromSets(desiredTraitSets);
+    if (typeof orgResult === 'number' && (result === null || typeof result === 'number')) {
+      return result === null ? orgResult : Math.min(result, orgResult);
+    }
+    return result;
+  }
+
+  _getTokenFromSets(desiredTraitSets) {
     for (let i = 0; i < desiredTraitSets.length; i++) {
       const token = this._getToken(desiredTraitSets[i]);
       if (token) {
@@ -53,7 +100,7 @@ class TokenFactory {
     let minBench = Number.MAX_SAFE_INTEGER;
     const now = Date.now();
     const candidates = this.tokens.filter(token => {
-      if (this._traitsMatch(token.traits, desiredTraits)) {
+      if (!token.quarantinedAt && this._traitsMatch(token.traits, desiredTraits) && this._isRequested(token, desiredTraits)) {
         if (!token.benchUntil || now > token.benchUntil) {
           return true;
         }
@@ -92,7 +139,76 @@ class TokenFactory {
     return result;
   }
 
+  /**
+   * Bench the given token because GitHub throttled it. GitHub's rate limits apply to every instance using the
+   * token so it is benched on all instances sharing the bench store. Other benches (e.g., call caps) are local.
+   **/
+  throttle(value, until) {
+    const result = this.exhaust(value, until);
+    if (this.benchStore && result === until) {
+      this.benchStore.bench(this._getBenchId(value), until);
+    }
+    return result;
+  }
+
+  /**
+   * Record the outcome of a call made with the given token. Tokens that repeatedly get a 401 (Unauthorized)
+   * have most likely been revoked so they are quarantined and no longer handed out. Returns true if the
+   * token was quarantined as a result of this outcome.
+   **/
+  recordOutcome(value, status, remaining = null, reset = null) {
+    const threshold = (this.options || {}).quarantineThreshold || 3;
+    let result = false;
+    this.tokens.filter(token => token.value === value).forEach(token => {
+      const health = token.health = token.health || { uses: 0, unauthorized: 0 };
+      health.uses++;
+      health.lastUsed = Date.now();
+      health.lastStatus = status;
+      if (remaining !== null) {
+        health.remaining = remaining;
+      }
+      if (reset !== null) {
+        health.reset = reset;
+      }
+      if (status !== 401) {
+        health.unauthorized = 0;
+        return;
+      }
+      health.unauthorized++;
+      if (health.unauthorized >= threshold && !token.quarantinedAt) {
+        token.quarantinedAt = Date.now();
+        result = true;
+      }
+    });
+    return result;
+  }
+
+  _applyBench(id, until) {
+    const now = Date.now();
+    this.tokens.filter(token => this._getBenchId(token.value) === id).forEach(token => {
+      if (!token.benchUntil || now > token.benchUntil) {
+        token.benchUntil = until;
+      }
+    });
+  }
+
+  // an opaque, stable id for a token so token values are never shared outside the process
+  _getBenchId(value) {
+    return crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+  }
+
+  _addTrait(desired, trait) {
+    return typeof desired === 'string' ? [desired, trait] : desired.concat([trait]);
+  }
+
   // desired can be an array of traits or an array of arrays of traits if there are fall backs
+  // Some tokens only work for some resources (e.g., app installation tokens for their org's resources) so they are
+  // only handed out when all of their required traits are asked for.
+  _isRequested(token, desiredTraits) {
+    const desired = typeof desiredTraits === 'string' ? [desiredTraits] : desiredTraits;
+    return (token.requiredTraits || []).every(trait => desired.includes(trait));
+  }
+
   _traitsMatch(available, desired) {
     if (desired.length === 0) {
       return true;
@@ -0,0 +1,39 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const Q = require('q');
+
+// Keeps token bench times in process. Used when there is no shared store, in which case each crawler
+// instance discovers exhausted tokens on its own.
+class InMemoryBenchStore {
+
+  constructor(options) {
+    this.options = options;
+    this.benches = {};
+    this.handlers = [];
+  }
+
+  bench(id, until) {
+    this.benches[id] = Math.max(this.benches[id] || 0, until);
+    this.handlers.forEach(handler => handler(id, until));
+    return Q(until);
+  }
+
+  getAll() {
+    const now = Date.now();
+    const result = {};
+    Object.getOwnPropertyNames(this.benches).forEach(id => {
+      if (this.benches[id] > now) {
+        result[id] = this.benches[id];
+      }
+    });
+    return Q(result);
+  }
+
+  subscribe(handler) {
+    this.handlers.push(handler);
+    return Q();
+  }
+}
+
+module.exports = InMemoryBenchStore;
@@ -0,0 +1,78 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const Q = require('q');
+
+// Shares token bench times across crawler instances. Bench times are kept in a hash so new instances
+// can catch up and are published so running instances see them straight away. Tokens are identified
+// by an opaque id, never their value.
+class RedisBenchStore {
+
+  constructor(prefix, redisClient, subscriber, options) {
+    this.key = `${prefix}:tokenbench`;
+    this.redisClient = redisClient;
+    this.subscriber = subscriber;
+    this.options = options;
+    this.logger = options.logger;
+  }
+
+  bench(id, until) {
+    const deferred = Q.defer();
+    this.redisClient.multi()
+      .hset(this.key, id, until)
+      .publish(this.key, JSON.stringify({ id: id, until: until }))
+      .exec(error => {
+        if (error) {
+          // not being able to share is not fatal, this instance has already benched the token locally
+          this.logger.error(error);
+          return deferred.resolve(null);
+        }
+        deferred.resolve(until);
+      });
+    return deferred.promise;
+  }
+
+  getAll() {
+    const deferred = Q.defer();
+    this.redisClient.hgetall(this.key, (error, values) => {
+      if (error) {
+        return deferred.reject(error);
+      }
+      const now = Date.now();
+      const result = {};
+      const expired = [];
+      Object.getOwnPropertyNames(values || {}).forEach(id => {
+        const until = parseInt(values[id], 10);
+        if (until > now) {
+          result[id] = until;
+        } else {
+          expired.push(id);
+        }
+      });
+      if (expired.length) {
+        this.redisClient.hdel(this.key, expired, () => { });
+      }
+      deferred.resolve(result);
+    });
+    return deferred.promise;
+  }
+
+  subscribe(handler) {
+    const deferred = Q.defer();
+    this.subscriber.on('message', (channel, message) => {
+      if (channel !== this.key) {
+        return;
+      }
+      try {
+        const bench = JSON.parse(message);
+        handler(bench.id, bench.until);
+      } catch (error) {
+        this.logger.error(error);
+      }
+    });
+    this.subscriber.subscribe(this.key, error => error ? deferred.reject(error) : deferred.resolve());
+    return deferred.promise;
+  }
+}
+
+module.exports = RedisBenchStore;
@@ -34,8 +34,26 @@ router.put('/tokens', auth.validate, (request, response, next) => {
 });
 
 router.get('/tokens', auth.validate, (request, response, next) => {
+  const now = Date.now();
   let tokens = crawlerService.crawler.fetcher.tokenFactory.getAllTokens();
-  let shortTokens = tokens.map(t => {return {value: t.value.substr(0,8) + "...", traits: t.traits}});
+  let shortTokens = tokens.map(t => {
+    const health = t.health || {};
+    const benched = !!t.benchUntil && t.benchUntil > now;
+    return {
+      value: t.value.substr(0, 8) + "...",
+      traits: t.traits,
+      state: t.quarantinedAt ? 'quarantined' : benched ? 'benched' : 'active',
+      benchUntil: benched ? t.benchUntil : null,
+      quarantinedAt: t.quarantinedAt || null,
+      quota: { remaining: health.remaining === undefined ? null : health.remaining, reset: health.reset || null },
+      health: {
+        uses: health.uses || 0,
+        lastUsed: health.lastUsed || null,
+        lastStatus: health.lastStatus || null,
+        unauthorized: health.unauthorized || 0
+      }
+    };
+  });
   response.json(shortTokens).status(200).end();
 });
 
@@ -19,6 +19,28 @@ const queueSchema = {
 let crawlerService = null;
 const router = express.Router();
 
+// Explain what a request would traverse and, given a url, estimate what crawling it would cost. Nothing is queued.
+router.post('/plan', auth.validate, wrap(function* (request, response) {
+  const body = request.body || {};
+  if (!body.type) {
+    return response.status(400).send('A request type is required');
+  }
+  const planned = new Request(body.type, body.url || null, body.context || {});
+  planned.policy = TraversalPolicy.getPolicy(body.policy || 'default', body.type);
+  if (!planned.policy || !hasMap(planned.policy)) {
+    return response.status(400).send(`Unable to resolve policy: ${body.policy}`);
+  }
+  let maxRequests;
+  if (body.maxRequests !== undefined && body.maxRequests !== null) {
+    maxRequests = Number(body.maxRequests);
+    if (!Number.isInteger(maxRequests) || maxRequests <= 0) {
+      return response.status(400).send(`maxRequests must be a positive integer: ${body.maxRequests}`);
+    }
+  }
+  const result = yield crawlerService.plan(planned, maxRequests);
+  response.json(result);
+}));
+
 router.post('/:queue?', auth.validate, wrap(function* (request, response) {
   const result = yield queueRequests(request.body, request.params.queue || 'normal');
   if (!result) {
@@ -80,6 +102,14 @@ function buildRequestFromSpec(spec) {
   };
 }
 
+function hasMap(policy) {
+  try {
+    return !!policy.map.getMap();
+  } catch (error) {
+    return false;
+  }
+}
+
 function setup(service) {
   crawlerService = service;
   return router;
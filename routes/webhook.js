@@ -24,8 +24,9 @@ router.post('/', wrap(function* (request, response, next) {
     return fatal(request, response, 'Missing signature or event type on GitHub webhook');
   }
 
-  // Ignoring since check events aren't useful for now and constitute over 99% of events with mismatched blob signature.
-  if (['check_run', 'check_suite'].includes(eventType)) {
+  // Check events are high volume and constitute over 99% of events with mismatched blob signature. Only queue the
+  // configured sample of the interesting ones so they do not swamp the events queue.
+  if (['check_run', 'check_suite'].includes(eventType) && !shouldQueueCheckEvent(request.body)) {
     getLogger().info('Ignored', 'Webhook event', { delivery: deliveryId, eventType, signature });
     return response.status(200).end();
   }
@@ -52,6 +53,17 @@ router.post('/', wrap(function* (request, response, next) {
   response.status(200).end();
 }));
 
+function shouldQueueCheckEvent(body) {
+  const options = crawlerService.options.queuing.events.checks || {};
+  if (Math.random() >= (options.sampleRate || 0)) {
+    return false;
+  }
+  if (!options.actions || options.actions.length === 0) {
+    return true;
+  }
+  return options.actions.includes(JSON.parse(body).action);
+}
+
 function warn(request, response, message) {
   getLogger().warn(fatal, { delivery: request.headers['x-github-delivery'] });
   response.status(500);
@@ -0,0 +1,126 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const EventEmitter = require('events');
+const expect = require('chai').expect;
+const GitHubAppTokenFactory = require('../../providers/fetcher/githubAppTokenFactory');
+const InMemoryBenchStore = require('../../providers/limiting/inmemoryBenchStore');
+const Q = require('q');
+const RedisBenchStore = require('../../providers/limiting/redisBenchStore');
+const TokenFactory = require('../../providers/fetcher/tokenFactory');
+
+describe('Token bench sharing', () => {
+  it('should bench a token on all instances', () => {
+    const redis = createRedis();
+    const first = new TokenFactory('1111#public;2222#public', {});
+    const second = new TokenFactory('1111#public;2222#public', {});
+    return Q.all([first.setBenchStore(createStore(redis)), second.setBenchStore(createStore(redis))]).then(() => {
+      const until = Date.now() + 10000;
+      first.throttle('1111', until);
+      expect(second.getToken(['public'])).to.be.equal('2222');
+      expect(Object.getOwnPropertyNames(redis.hashes['test:tokenbench']).length).to.be.equal(1);
+      expect(Object.getOwnPropertyNames(redis.hashes['test:tokenbench'])[0]).to.not.include('1111');
+    });
+  });
+
+  it('should pick up current benches when joining', () => {
+    const redis = createRedis();
+    const first = new TokenFactory('1111#public;2222#public', {});
+    const until = Date.now() + 10000;
+    return first.setBenchStore(createStore(redis)).then(() => {
+      first.throttle('1111', until);
+      first.throttle('2222', Date.now() - 10);
+      const second = new TokenFactory('1111#public;2222#public', {});
+      return second.setBenchStore(createStore(redis)).then(() => second);
+    }).then(second => {
+      expect(second.getToken(['public'])).to.be.equal('2222');
+      expect(Object.getOwnPropertyNames(redis.hashes['test:tokenbench']).length).to.be.equal(1);
+    });
+  });
+
+  it('should only share GitHub throttling', () => {
+    const redis = createRedis();
+    const first = new TokenFactory('1111#public;2222#public', {});
+    const second = new TokenFactory('1111#public;2222#public', {});
+    return Q.all([first.setBenchStore(createStore(redis)), second.setBenchStore(createStore(redis))]).then(() => {
+      // e.g., a call cap cool down
+      first.exhaust('1111', Date.now() + 10000);
+      expect(first.getToken(['public'])).to.be.equal('2222');
+      expect(redis.hashes['test:tokenbench']).to.be.undefined;
+      expect(second.getAllTokens().every(token => !token.benchUntil)).to.be.true;
+    });
+  });
+
+  it('should share app installation benches by installation', () => {
+    const redis = createRedis();
+    const first = createAppFactory('ghs_first');
+    const second = createAppFactory('ghs_second');
+    return Q.all([first.setBenchStore(createStore(redis)), second.setBenchStore(createStore(redis))]).then(() => {
+      const until = Date.now() + 10000;
+      first.throttle('ghs_first', until);
+      expect(second.getToken([['public']])).to.be.equal(until);
+      expect(Object.getOwnPropertyNames(redis.hashes['test:tokenbench'])).to.be.deep.equal(['installation:1']);
+    });
+  });
+
+  it('should keep benches local in memory', () => {
+    const factory = new TokenFactory('1111#public;2222#public', {});
+    const store = new InMemoryBenchStore({});
+    const until = Date.now() + 10000;
+    return factory.setBenchStore(store).then(() => {
+      factory.throttle('1111', until);
+      expect(factory.getToken(['public'])).to.be.equal('2222');
+      return store.getAll();
+    }).then(benches => {
+      const ids = Object.getOwnPropertyNames(benches);
+      expect(ids.length).to.be.equal(1);
+      expect(benches[ids[0]]).to.be.equal(until);
+    });
+  });
+});
+
+function createAppFactory(value) {
+  const factory = new GitHubAppTokenFactory(42, null, null, null, { logger: {} });
+  factory.installationTokens = [{ value: value, traits: ['public'], installation: 1, expiresAt: Date.now() + 60 * 60 * 1000 }];
+  factory._combineTokens();
+  return factory;
+}
+
+function createStore(redis) {
+  return new RedisBenchStore('test', redis.client(), redis.client(), { logger: { error: () => { } } });
+}
+
+// A minimal stand in for redis supporting the hash and pub/sub calls used by the bench store.
+function createRedis() {
+  const bus = new EventEmitter();
+  const hashes = {};
+  const hset = (key, field, value) => {
+    hashes[key] = hashes[key] || {};
+    hashes[key][field] = `${value}`;
+  };
+  return {
+    hashes: hashes,
+    client: () => {
+      const client = new EventEmitter();
+      client.multi = () => {
+        const commands = [];
+        const multi = {
+          hset: (key, field, value) => { commands.push(() => hset(key, field, value)); return multi; },
+          publish: (channel, message) => { commands.push(() => bus.emit('message', channel, message)); return multi; },
+          exec: callback => { commands.forEach(command => command()); callback(null); }
+        };
+        return multi;
+      };
+      client.hgetall = (key, callback) => callback(null, hashes[key] ? Object.assign({}, hashes[key]) : null);
+      client.hdel = (key, fields, callback) => {
+        fields.forEach(field => delete hashes[key][field]);
+        callback(null);
+      };
+      client.subscribe = (channel, callback) => {
+        bus.on('message', (target, message) => client.emit('message', target, message));
+        callback(null);
+      };
+      return client;
+    }
+  };
+}
@@ -8,6 +8,7 @@ const expect = require('chai').expect;
 const extend = require('extend');
 const GitHubFetcher = require('../../providers/fetcher/githubFetcher');
 const GitHubProcessor = require('../../providers/fetcher/githubProcessor');
+const moment = require('moment');
 const Q = require('q');
 const QueueSet = require('../../providers/queuing/queueSet');
 const Request = require('../../lib/request');
@@ -133,13 +134,16 @@ describe('Crawler filtering', () => {
     const options = createBaseOptions();
     options.crawler.orgList = ['microsoft'];
     const crawler = createBaseCrawler({ options: options });
-    expect(crawler._filter(new Request('repo', 'http://api.github.com/repo/microsoft/test')).shouldSkip()).to.be.false;
+    expect(crawler._filter(new Request('repo', 'http://api.github.com/repos/microsoft/test')).shouldSkip()).to.be.false;
     expect(crawler._filter(new Request('repos', 'http://api.github.com/repos/microsoft/test')).shouldSkip()).to.be.false;
-    expect(crawler._filter(new Request('org', 'http://api.github.com/org/microsoft/test')).shouldSkip()).to.be.false;
+    expect(crawler._filter(new Request('repos', 'http://api.github.com/users/Microsoft/repos')).shouldSkip()).to.be.false;
+    expect(crawler._filter(new Request('org', 'http://api.github.com/orgs/microsoft')).shouldSkip()).to.be.false;
 
     expect(crawler._filter(new Request('repo', 'http://api.github.com/repo/test/test')).shouldSkip()).to.be.true;
     expect(crawler._filter(new Request('repos', 'http://api.github.com/repos/test/test')).shouldSkip()).to.be.true;
+    expect(crawler._filter(new Request('repos', 'http://api.github.com/users/test/repos')).shouldSkip()).to.be.true;
     expect(crawler._filter(new Request('org', 'http://api.github.com/org/test/test')).shouldSkip()).to.be.true;
+    expect(crawler._filter(new Request('repo', 'http://api.github.com/repositories/12')).shouldSkip()).to.be.true;
 
     expect(crawler._filter(new Request('foo', 'http://api.github.com/org/test/test')).shouldSkip()).to.be.false;
 
@@ -273,7 +277,7 @@ describe('Crawler queue', () => {
     let queue = [];
     const normal = createBaseQueue('normal', { push: request => { queue.push(request); return Q(); } });
     const queues = createBaseQueues({ normal: normal });
-    const request = new Request('repo', 'http://api.github.com/repo/microsoft/test');
+    const request = new Request('repo', 'http://api.github.com/repos/microsoft/test');
     const crawler = createBaseCrawler({ queues: queues, options: options });
     request.track(crawler.queue(request));
     expect(request.promises.length).to.be.equal(1);
@@ -290,7 +294,7 @@ describe('Crawler queue', () => {
     let queue = [];
     const normal = createBaseQueue('normal', { push: request => { queue.push(request); return Q(); } });
     const queues = createBaseQueues({ normal: normal });
-    const request = new Request('repo', 'http://api.github.com/repo/microsoft/test');
+    const request = new Request('repo', 'http://api.github.com/repos/microsoft/test');
     const crawler = createBaseCrawler({ queues: queues, options: options });
     request.track(crawler.queue(request));
     expect(request.promises.length).to.be.equal(1);
@@ -793,6 +797,32 @@ describe('Crawler whole meal deal', () => {
       error => assert.fail());
   });
 
+  it('should save refreshed documents that are unchanged at origin', () => {
+    const crawler = createFullCrawler();
+    const normal = crawler.queues.queueTable['normal'];
+
+    const request = new Request('user', 'http://test.com/users/user1');
+    request.policy = TraversalPolicy.getPolicy('refresh:7:self');
+    normal.requests = [request];
+    const processedAt = moment.utc().subtract(10, 'days').toISOString();
+    crawler.fetcher.fetch = request => {
+      // the fetcher found the stored document stale, went to origin and got a 304
+      request.response = create304Response('42');
+      request.response._metadataTemplate = { version: crawler.processor.version, fetchedAt: processedAt, processedAt: processedAt };
+      request.document = { id: 42 };
+      request.contentOrigin = 'cacheOfOrigin';
+      return Q(request);
+    };
+    return Q.try(() => { return crawler.processOne({ name: 'test' }); }).then(() => {
+      const upsert = crawler.store.upsert;
+      expect(upsert.callCount).to.be.equal(1);
+      const document = upsert.getCall(0).args[0];
+      expect(document.id).to.be.equal(42);
+      expect(moment.utc().diff(moment.utc(document._metadata.processedAt), 'seconds')).to.be.below(5);
+      expect(request.policy.isStale(document)).to.be.false;
+    });
+  });
+
   it('should handle getRequest reject', () => {
     const crawler = createFullCrawler();
 
@@ -74,6 +74,320 @@ describe('Collection processing', () => {
     expect(newRequest.url).to.be.equal('http://child1');
     expect(newRequest.type).to.be.equal('issue');
   });
+
+  it('should carry the crawl to later pages but not to elements', () => {
+    const request = createRequest('issues', 'http://test.com/issues', { elementType: 'issue', lastCrawledAt: '2017-01-01T00:00:00.000Z' });
+    request.policy = TraversalPolicy.incremental('repo@issues');
+    request.response = {
+      headers: { link: createLinkHeader(request.url, null, 2, 2) }
+    };
+    request.document = { _metadata: { links: {}, fetchedAt: '2017-02-01T00:00:00.000Z' }, elements: [{ type: 'issue', url: 'http://child1' }] };
+    request.crawler = { queue: () => { } };
+    const queue = sinon.spy(request.crawler, 'queue');
+    const processor = new GitHubProcessor();
+
+    const document = processor.process(request);
+
+    // the crawl is not done until the last page is
+    expect(document._metadata.crawledAt).to.be.undefined;
+    expect(document._metadata.since).to.be.equal('2017-01-01T00:00:00.000Z');
+    const newPages = queue.getCall(0).args[0];
+    expect(newPages[0].context.lastCrawledAt).to.be.equal('2017-01-01T00:00:00.000Z');
+    expect(newPages[0].context.walk).to.be.deep.equal({ url: 'http://test.com/issues', startedAt: '2017-02-01T00:00:00.000Z', lastPage: 2 });
+    expect(newPages[0].policy.freshness).to.be.equal('incremental');
+    const element = queue.getCall(1).args[0][0];
+    expect(element.context.lastCrawledAt).to.be.undefined;
+    expect(element.context.walk).to.be.undefined;
+  });
+
+  it('should record the crawl time of single page collections', () => {
+    const request = createRequest('issues', 'http://test.com/issues', { elementType: 'issue' });
+    request.policy = TraversalPolicy.incremental('repo@issues');
+    request.document = { _metadata: { links: {}, fetchedAt: '2017-02-01T00:00:00.000Z' }, elements: [] };
+    request.crawler = { queue: () => { } };
+
+    const document = new GitHubProcessor().process(request);
+
+    expect(document._metadata.crawledAt).to.be.equal('2017-02-01T00:00:00.000Z');
+  });
+
+  it('should not count capped walks as crawls of the collection', () => {
+    const request = createRequest('issues', 'http://test.com/issues', { elementType: 'issue' });
+    request.policy = TraversalPolicy.getPolicy('incremental:pages=1:repo@issues');
+    request.response = {
+      headers: { link: createLinkHeader(request.url, null, 2, 2) }
+    };
+    request.document = { _metadata: { links: {}, fetchedAt: '2017-02-01T00:00:00.000Z' }, elements: [] };
+    request.crawler = { queue: () => { } };
+
+    const document = new GitHubProcessor().process(request);
+
+    expect(document._metadata.crawledAt).to.be.undefined;
+  });
+
+  it('should note the crawl in the first page once the last page is done', () => {
+    const walk = { url: 'http://test.com/issues', startedAt: '2017-02-01T00:00:00.000Z', lastPage: 2 };
+    const request = createRequest('issues', 'http://test.com/issues?page=2&per_page=100', { elementType: 'issue', walk: walk });
+    request.policy = TraversalPolicy.incremental('repo@issues');
+    request.document = { _metadata: { links: {} }, elements: [] };
+    request.crawler = { queue: () => { } };
+    const first = { _metadata: { crawledAt: '2017-01-01T00:00:00.000Z' }, elements: [] };
+    const store = {
+      get: sinon.spy(() => Q(first)),
+      upsert: sinon.spy(() => Q())
+    };
+
+    new GitHubProcessor(store).process(request);
+
+    return Q.all(request.promises).then(() => {
+      expect(store.get.getCall(0).args).to.be.deep.equal(['issues', 'http://test.com/issues']);
+      expect(store.upsert.callCount).to.be.equal(1);
+      expect(store.upsert.getCall(0).args[0]._metadata.crawledAt).to.be.equal('2017-02-01T00:00:00.000Z');
+    });
+  });
+
+  it('should keep the stored page rather than what changed since the last crawl', () => {
+    const request = createRequest('issues', 'http://test.com/issues', { elementType: 'issue', lastCrawledAt: '2017-01-01T00:00:00.000Z' });
+    request.policy = TraversalPolicy.incremental('repo@issues');
+    request.document = { _metadata: { links: {}, fetchedAt: '2017-02-01T00:00:00.000Z' }, elements: [{ type: 'issue', url: 'http://child2' }] };
+    request.crawler = { queue: () => { } };
+    const queue = sinon.spy(request.crawler, 'queue');
+    const stored = { _metadata: { links: {}, crawledAt: '2017-01-01T00:00:00.000Z' }, elements: [{ url: 'http://child1' }, { url: 'http://child2' }] };
+    const store = { get: () => Q(stored) };
+
+    return Q(new GitHubProcessor(store).process(request)).then(document => {
+      expect(document).to.be.equal(stored);
+      expect(document.elements.length).to.be.equal(2);
+      expect(document._metadata.crawledAt).to.be.equal('2017-02-01T00:00:00.000Z');
+      expect(queue.callCount).to.be.equal(1);
+      expect(queue.getCall(0).args[0][0].url).to.be.equal('http://child2');
+    });
+  });
+
+  it('should keep the stored page rather than what was active in the date window', () => {
+    const window = { since: '2017-01-01T00:00:00.000Z', until: '2017-02-01T00:00:00.000Z' };
+    const request = createRequest('issues', 'http://test.com/issues', Object.assign({ elementType: 'issue' }, window));
+    request.policy = TraversalPolicy.refresh('repo@issues');
+    request.policy.freshness = 'always';
+    request.document = {
+      _metadata: { links: {}, fetchedAt: '2017-03-01T00:00:00.000Z' },
+      elements: [{ url: 'http://child2', created_at: '2016-06-01T00:00:00Z', updated_at: '2017-01-10T00:00:00Z' }]
+    };
+    request.crawler = { queue: () => { } };
+    const stored = { _metadata: { links: {}, crawledAt: '2017-01-01T00:00:00.000Z' }, elements: [{ url: 'http://child1' }, { url: 'http://child2' }] };
+    const store = { get: sinon.spy(() => Q(stored)) };
+
+    return Q(new GitHubProcessor(store).process(request)).then(document => {
+      expect(store.get.getCall(0).args).to.be.deep.equal(['issues', 'http://test.com/issues']);
+      expect(document).to.be.equal(stored);
+      expect(document.elements.length).to.be.equal(2);
+      expect(document._metadata.crawledAt).to.be.equal('2017-01-01T00:00:00.000Z');
+      expect(document._metadata.window).to.be.undefined;
+    });
+  });
+
+  it('should only queue elements active within the date window', () => {
+    const window = { since: '2017-01-01T00:00:00.000Z', until: '2017-02-01T00:00:00.000Z' };
+    const request = createRequest('issues', 'http://test.com/issues', Object.assign({ elementType: 'issue' }, window));
+    request.policy = TraversalPolicy.refresh('repo@issues');
+    request.policy.freshness = 'always';
+    request.response = {
+      headers: { link: createLinkHeader(request.url, null, 2, 2) }
+    };
+    request.document = {
+      _metadata: { links: {}, fetchedAt: '2017-03-01T00:00:00.000Z' },
+      elements: [
+        { url: 'http://child1', created_at: '2016-06-01T00:00:00Z', updated_at: '2017-01-10T00:00:00Z' },
+        { url: 'http://child2', created_at: '2016-06-01T00:00:00Z', updated_at: '2016-12-10T00:00:00Z' },
+        { url: 'http://child3', created_at: '2017-02-10T00:00:00Z', updated_at: '2017-02-10T00:00:00Z' }
+      ]
+    };
+    request.crawler = { queue: () => { } };
+    const queue = sinon.spy(request.crawler, 'queue');
+    const processor = new GitHubProcessor();
+
+    const document = processor.process(request);
+
+    expect(document._metadata.crawledAt).to.be.undefined;
+    expect(document._metadata.window).to.be.deep.equal(window);
+    expect(document.elements.length).to.be.equal(3);
+    const newPages = queue.getCall(0).args[0];
+    expect(newPages[0].context.since).to.be.equal(window.since);
+    expect(newPages[0].context.until).to.be.equal(window.until);
+    expect(queue.callCount).to.be.equal(2);
+    const newRequest = queue.getCall(1).args[0][0];
+    expect(newRequest.url).to.be.equal('http://child1');
+    expect(newRequest.context.since).to.be.equal(window.since);
+    expect(newRequest.context.until).to.be.equal(window.until);
+  });
+
+  it('should skip commits, comments and pull requests outside the date window', () => {
+    const processor = new GitHubProcessor();
+    const window = { since: '2017-01-01T00:00:00.000Z', until: '2017-02-01T00:00:00.000Z' };
+    const commit = createRequest('commit', 'http://test.com/repos/test/commits/a1b2', Object.assign({ qualifier: 'urn:repo:12' }, window));
+    commit.document = { _metadata: { links: {} }, sha: 'a1b2', url: 'http://test.com/repos/test/commits/a1b2', commit: { committer: { date: '2016-12-31T00:00:00Z' } } };
+    processor.commit(commit);
+    expect(commit.shouldSkip()).to.be.true;
+
+    const comment = createRequest('issue_comment', 'http://test.com/repos/test/issues/comments/7', Object.assign({ qualifier: 'urn:repo:12:issue:3' }, window));
+    comment.document = { _metadata: { links: {} }, id: 7, created_at: '2017-01-05T00:00:00Z', updated_at: '2017-01-05T00:00:00Z', user: {} };
+    processor.issue_comment(comment);
+    expect(comment.shouldSkip()).to.be.false;
+
+    const pullRequest = createRequest('pull_request', 'http://test.com/repos/test/pulls/3', Object.assign({ qualifier: 'urn:repo:12' }, window));
+    pullRequest.document = { _metadata: { links: {} }, id: 3, created_at: '2017-02-05T00:00:00Z', updated_at: '2017-02-06T00:00:00Z' };
+    processor.pull_request(pullRequest);
+    expect(pullRequest.shouldSkip()).to.be.true;
+  });
+
+  it('should carry the date window to the issue of a PullRequestEvent', () => {
+    const window = { since: '2017-01-01T00:00:00.000Z', until: '2017-02-01T00:00:00.000Z' };
+    const request = createRequest('PullRequestEvent', 'http://foo/pull', window);
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = createEvent('PullRequestEvent', { pull_request: { id: 1, url: 'http://pull_request/1', issue_url: 'http://issue/9' } });
+
+    new GitHubProcessor().PullRequestEvent(request);
+
+    const issue = queue.find(queued => queued.type === 'issue');
+    expect(issue.context.qualifier).to.be.equal('urn:repo:4');
+    expect(issue.context.since).to.be.equal(window.since);
+    expect(issue.context.until).to.be.equal(window.until);
+  });
+
+  it('should not walk a collection whose first page is unchanged', () => {
+    const request = createRequest('issues', 'http://test.com/issues', { elementType: 'issue' });
+    request.policy = TraversalPolicy.getPolicy('refresh:skipUnchanged:repo@issues');
+    request.contentOrigin = 'cacheOfOrigin';
+    request.response = {
+      headers: { link: createLinkHeader(request.url, null, 2, 2) }
+    };
+    request.document = { _metadata: { links: {} }, elements: [{ type: 'issue', url: 'http://child1' }] };
+    request.crawler = { queue: () => { } };
+    const queue = sinon.spy(request.crawler, 'queue');
+    const processor = new GitHubProcessor();
+
+    processor.process(request);
+
+    expect(request.shouldSkip()).to.be.true;
+    expect(request.outcome).to.be.equal('Unmodified');
+    expect(queue.callCount).to.be.equal(0);
+  });
+
+  it('should not walk unchanged later pages', () => {
+    const request = createRequest('issues', 'http://test.com/issues?page=2&per_page=100', { elementType: 'issue' });
+    request.policy = TraversalPolicy.getPolicy('refresh:skipUnchanged:repo@issues');
+    request.contentOrigin = 'cacheOfOrigin';
+    request.document = { _metadata: { links: {} }, elements: [{ type: 'issue', url: 'http://child1' }] };
+    request.crawler = { queue: () => { } };
+    const queue = sinon.spy(request.crawler, 'queue');
+    const processor = new GitHubProcessor();
+
+    processor.process(request);
+
+    expect(request.shouldSkip()).to.be.true;
+    expect(queue.callCount).to.be.equal(0);
+  });
+
+  it('should only skip unchanged collections when the policy opts in', () => {
+    [
+      { type: 'issues', spec: 'refresh:repo@issues', elementType: 'issue' },
+      { type: 'issue_comments', spec: 'refresh:skipUnchanged:issue@issue_comments', elementType: 'issue_comment' }
+    ].forEach(({ type, spec, elementType }) => {
+      const request = createRequest(type, `http://test.com/${type}`, { elementType: elementType });
+      request.policy = TraversalPolicy.getPolicy(spec);
+      request.contentOrigin = 'cacheOfOrigin';
+      request.response = {
+        headers: { link: createLinkHeader(request.url, null, 2, 2) }
+      };
+      request.document = { _metadata: { links: {} }, elements: [{ type: elementType, url: 'http://child1' }] };
+      request.crawler = { queue: () => { } };
+      const queue = sinon.spy(request.crawler, 'queue');
+
+      new GitHubProcessor().process(request);
+
+      expect(request.shouldSkip()).to.be.false;
+      expect(queue.callCount).to.be.equal(2);
+    });
+  });
+
+  it('should walk an unchanged collection if the policy needs to', () => {
+    const request = createRequest('issues', 'http://test.com/issues', { elementType: 'issue' });
+    request.policy = TraversalPolicy.reprocessAndUpdate('repo@issues');
+    request.contentOrigin = 'cacheOfOrigin';
+    request.response = {
+      headers: { link: createLinkHeader(request.url, null, 2, 2) }
+    };
+    request.document = { _metadata: { links: {}, version: 1 }, elements: [{ type: 'issue', url: 'http://child1' }] };
+    request.crawler = { queue: () => { } };
+    const queue = sinon.spy(request.crawler, 'queue');
+    const processor = new GitHubProcessor();
+
+    processor.process(request);
+
+    expect(request.shouldSkip()).to.be.false;
+    expect(queue.callCount).to.be.equal(2);
+  });
+
+  it('should only queue the pages allowed by the policy', () => {
+    const request = createRequest('issues', 'http://test.com/issues', { elementType: 'issue' });
+    request.policy = TraversalPolicy.getPolicy('default:pages=3:repo@issues');
+    request.response = {
+      headers: { link: createLinkHeader(request.url, null, 2, 10) }
+    };
+    request.document = { _metadata: { links: {} }, elements: [{ type: 'issue', url: 'http://child1' }] };
+    request.crawler = { queue: () => { } };
+    const queue = sinon.spy(request.crawler, 'queue');
+    const processor = new GitHubProcessor();
+
+    processor.process(request);
+
+    const newPages = queue.getCall(0).args[0];
+    expect(newPages.map(page => page.url)).to.be.deep.equal([
+      'http://test.com/issues?page=2&per_page=100',
+      'http://test.com/issues?page=3&per_page=100'
+    ]);
+    expect(newPages[0].policy.pages).to.be.equal(3);
+    expect(queue.getCall(1).args[0][0].policy.pages).to.be.equal(3);
+  });
+
+  it('should not queue event resources beyond the depth limit', () => {
+    const request = createRequest('PullRequestEvent', 'http://foo/pull');
+    request.policy = TraversalPolicy.getPolicy('default:depth=0:PullRequestEvent');
+    request.crawler = { queue: () => { } };
+    const queue = sinon.spy(request.crawler, 'queue');
+    const payload = {
+      pull_request: { id: 1, url: 'http://pull_request/1', issue_url: 'http://issue/9' }
+    };
+    request.document = createEvent('PullRequestEvent', payload);
+    const processor = new GitHubProcessor();
+
+    const document = processor.PullRequestEvent(request);
+
+    expect(queue.callCount).to.be.equal(0);
+    expect(document._metadata.links.pull_request.href).to.be.equal('urn:repo:4:pull_request:1');
+  });
+
+  it('should not queue roots or collections beyond the depth limit', () => {
+    const request = createRequest('repo', 'http://test.com/repos/test');
+    request.document = { _metadata: { links: { self: { href: 'urn:repo:12' } } }, id: 12, owner: { id: 45, url: 'http://user/45' } };
+    request.crawler = { queue: () => { } };
+    const queue = sinon.spy(request.crawler, 'queue');
+    const processor = new GitHubProcessor();
+
+    request.policy = TraversalPolicy.getPolicy('default:depth=0:repo');
+    processor._addRoot(request, 'owner', 'user');
+    processor._addCollection(request, 'issues', 'issue', 'http://test.com/repos/test/issues');
+    expect(queue.callCount).to.be.equal(0);
+    expect(request.document._metadata.links.owner.href).to.be.equal('urn:user:45');
+    expect(request.document._metadata.links.issues.href).to.be.equal('urn:repo:12:issues');
+
+    request.policy = TraversalPolicy.getPolicy('default:depth=1:repo');
+    processor._addRoot(request, 'owner', 'user');
+    processor._addCollection(request, 'issues', 'issue', 'http://test.com/repos/test/issues');
+    expect(queue.callCount).to.be.equal(2);
+    expect(queue.getCall(0).args[0][0].policy.depth).to.be.equal(0);
+  });
 });
 
 describe('URN building', () => {
@@ -81,7 +395,7 @@ describe('URN building', () => {
     const request = createRequest('repo', 'http://test.com/foo');
     request.policy = TraversalPolicy.refresh('repo');
     request.policy.freshness = 'always';
-    request.document = { _metadata: { links: {} }, id: 42, owner: { url: 'http://test.com/test' }, teams_url: 'http://test.com/teams', issues_url: 'http://test.com/issues', commits_url: 'http://test.com/commits', collaborators_url: 'http://test.com/collaborators' };
+    request.document = { _metadata: { links: {} }, id: 42, owner: { url: 'http://test.com/test' }, teams_url: 'http://test.com/teams', issues_url: 'http://test.com/issues', commits_url: 'http://test.com/commits', collaborators_url: 'http://test.com/collaborators', releases_url: 'http://test.com/releases{/id}', labels_url: 'http://test.com/labels{/name}', branches_url: 'http://test.com/branches{/branch}', deployments_url: 'http://test.com/deployments', milestones_url: 'http://test.com/milestones{/number}' };
     request.crawler = { queue: () => { }, queues: { pushPriority: () => { } } };
     const queue = sinon.spy(request.crawler, 'queue');
     // sinon.spy(request.crawler.queues, 'pushPriority');
@@ -156,7 +470,11 @@ describe('Org processing', () => {
       user: { href: 'urn:user:9', type: 'resource' },
       repos: { href: 'urn:user:9:repos', type: 'collection' },
       members: { href: 'urn:org:9:org_members:pages:*', type: 'relation' },
-      teams: { href: 'urn:org:9:org_teams:pages:*', type: 'relation' }
+      memberships: { href: 'urn:org:9:org_memberships:pages:*', type: 'relation' },
+      teams: { href: 'urn:org:9:org_teams:pages:*', type: 'relation' },
+      outside_collaborators: { href: 'urn:org:9:outside_collaborators:pages:*', type: 'relation' },
+      invitations: { href: 'urn:org:9:invitations:pages:*', type: 'relation' },
+      hooks: { href: 'urn:org:9:hooks:pages:*', type: 'relation' }
     }
     expectLinks(document._metadata.links, links);
 
@@ -166,6 +484,160 @@ describe('Org processing', () => {
       { type: 'members', url: 'http://members', qualifier: 'urn:org:9', path: '/members' },
       { type: 'teams', url: 'http://orgs/9/teams', qualifier: 'urn:org:9', path: '/teams' }
     ];
+    // the audit relations are linked but only walked in the audit scenario
+    expectQueued(queue, expected);
+  });
+
+  it('should walk the audit relations in the audit scenario', () => {
+    const request = createRequest('org', 'http://org/9');
+    request.policy = TraversalPolicy.getPolicy('default:audit/org');
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = {
+      _metadata: { links: {} },
+      id: 9,
+      url: 'http://orgs/9',
+      repos_url: 'http://repos',
+      members_url: 'http://members{/member}'
+    };
+
+    const processor = new GitHubProcessor();
+    processor.org(request);
+
+    const expected = [
+      { type: 'user', url: 'http://users/9', path: '/user' },
+      { type: 'repos', url: 'http://repos', qualifier: 'urn:org:9', path: '/repos' },
+      { type: 'members', url: 'http://members', qualifier: 'urn:org:9', path: '/members' },
+      { type: 'memberships', url: 'http://members', qualifier: 'urn:org:9', path: '/memberships' },
+      { type: 'teams', url: 'http://orgs/9/teams', qualifier: 'urn:org:9', path: '/teams' },
+      { type: 'outside_collaborators', url: 'http://orgs/9/outside_collaborators', qualifier: 'urn:org:9', path: '/outside_collaborators' },
+      { type: 'invitations', url: 'http://orgs/9/invitations', qualifier: 'urn:org:9', path: '/invitations' },
+      { type: 'hooks', url: 'http://orgs/9/hooks', qualifier: 'urn:org:9', path: '/hooks' }
+    ];
+    expectQueued(queue, expected);
+  });
+
+  it('should look up member roles in the membership API', () => {
+    const request = createRequest('memberships', 'http://orgs/9/members', { qualifier: 'urn:org:9', relation: { origin: 'org', qualifier: 'urn:org:9:org_memberships', type: 'org_membership', guid: 'g' } });
+    request.policy = TraversalPolicy.getPolicy('default:audit/org@/memberships');
+    request.policy.freshness = 'always';
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = { _metadata: { links: {} }, elements: [{ id: 7, login: 'someone', url: 'http://users/someone' }] };
+    const processor = new GitHubProcessor();
+    const document = processor.process(request);
+
+    expect(document._metadata.links.resources.hrefs).to.be.deep.equal(['urn:org:9:org_membership:7']);
+    expectQueued(queue, [{ type: 'org_membership', url: 'http://orgs/9/memberships/someone', qualifier: 'urn:org:9', path: '/memberships' }]);
+  });
+
+  it('should link hooks relation under the org', () => {
+    const request = createRequest('hooks', 'http://orgs/9/hooks', { qualifier: 'urn:org:9', relation: { origin: 'org', qualifier: 'urn:org:9:hooks', type: 'hook', guid: 'g' } });
+    request.policy = TraversalPolicy.getPolicy('default:audit/org@/hooks');
+    request.policy.freshness = 'always';
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = { _metadata: { links: {} }, elements: [{ id: 4, url: 'http://orgs/9/hooks/4' }] };
+    const processor = new GitHubProcessor();
+    const document = processor.process(request);
+
+    expect(document._metadata.links.resources.hrefs).to.be.deep.equal(['urn:org:9:hook:4']);
+    expectQueued(queue, [{ type: 'hook', url: 'http://orgs/9/hooks/4', qualifier: 'urn:org:9', path: '/hooks' }]);
+  });
+
+  it('should link hook', () => {
+    const request = createRequest('hook', 'http://orgs/9/hooks/4', { qualifier: 'urn:org:9' });
+    request.document = { _metadata: { links: {} }, id: 4, config: { url: 'http://example.com/hook' } };
+    const processor = new GitHubProcessor();
+    const document = processor.hook(request);
+
+    const links = {
+      self: { href: 'urn:org:9:hook:4', type: 'resource' },
+      siblings: { href: 'urn:org:9:hooks', type: 'collection' },
+      org: { href: 'urn:org:9', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+  });
+
+  it('should queue invitations with their payload', () => {
+    const request = createRequest('invitations', 'http://orgs/9/invitations', { qualifier: 'urn:org:9', relation: { origin: 'org', qualifier: 'urn:org:9:invitations', type: 'invitation', guid: 'g' } });
+    request.policy = TraversalPolicy.getPolicy('default:audit/org@/invitations');
+    request.policy.freshness = 'always';
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = { _metadata: { links: {} }, elements: [{ id: 6, login: 'someone', inviter: { id: 7, url: 'http://user/7' } }] };
+    const processor = new GitHubProcessor();
+    processor.process(request);
+
+    expect(queue.length).to.be.equal(1);
+    expect(queue[0].type).to.be.equal('invitation');
+    expect(queue[0].url).to.be.equal('http://orgs/9/invitations/6');
+    expect(queue[0].payload.body).to.be.deep.equal(request.document.elements[0]);
+  });
+
+  it('should link and queue invitation', () => {
+    const request = createRequest('invitation', 'http://orgs/9/invitations/6', { qualifier: 'urn:org:9' });
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = { _metadata: { links: {} }, id: 6, login: 'someone', inviter: { id: 7, url: 'http://user/7' } };
+    const processor = new GitHubProcessor();
+    const document = processor.invitation(request);
+
+    const links = {
+      self: { href: 'urn:org:9:invitation:6', type: 'resource' },
+      siblings: { href: 'urn:org:9:invitations', type: 'collection' },
+      org: { href: 'urn:org:9', type: 'resource' },
+      inviter: { href: 'urn:user:7', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+    expectQueued(queue, [{ type: 'user', url: 'http://user/7', path: '/inviter' }]);
+  });
+
+  it('should link and queue org membership', () => {
+    const request = createRequest('org_membership', 'http://orgs/9/memberships/someone', { qualifier: 'urn:org:9' });
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = { _metadata: { links: {} }, role: 'admin', state: 'active', user: { id: 7, url: 'http://user/7' } };
+    const processor = new GitHubProcessor();
+    const document = processor.org_membership(request);
+
+    const links = {
+      self: { href: 'urn:org:9:org_membership:7', type: 'resource' },
+      siblings: { href: 'urn:org:9:org_memberships', type: 'collection' },
+      org: { href: 'urn:org:9', type: 'resource' },
+      user: { href: 'urn:user:7', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+    expectQueued(queue, [{ type: 'user', url: 'http://user/7', path: '/user' }]);
+  });
+
+  it('should link and queue member_removed OrganizationEvent', () => {
+    const request = createRequest('OrganizationEvent', 'http://foo/');
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    const payload = {
+      action: 'member_removed',
+      membership: { url: 'http://orgs/5/memberships/someone', role: 'member', user: { id: 7, url: 'http://user/7' } }
+    }
+    request.document = createOrgEvent('OrganizationEvent', payload);
+
+    const processor = new GitHubProcessor();
+    const document = processor.OrganizationEvent(request);
+
+    const links = {
+      self: { href: 'urn:org:5:OrganizationEvent:12345', type: 'resource' },
+      siblings: { href: 'urn:org:5:OrganizationEvents', type: 'collection' },
+      actor: { href: 'urn:user:3', type: 'resource' },
+      org: { href: 'urn:org:5', type: 'resource' },
+      membership: { href: 'urn:org:5:org_membership:7', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+
+    const expected = [
+      { type: 'user', url: 'http://user/3', path: '/actor' },
+      { type: 'org', url: 'http://org/5', path: '/org' },
+      { type: 'org_membership', url: 'http://orgs/5/memberships/someone', qualifier: 'urn:org:5', path: '/', deletedAt: 'date and time' }
+    ];
     expectQueued(queue, expected);
   });
 });
@@ -196,6 +668,82 @@ describe('User processing', () => {
     ];
     expectQueued(queue, expected);
   });
+
+  it('should link but not walk the social graph by default', () => {
+    const request = createRequest('user', 'http://user/9');
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = {
+      _metadata: { links: {} },
+      id: 9,
+      repos_url: 'http://repos',
+      starred_url: 'http://starred{/owner}{/repo}',
+      subscriptions_url: 'http://subscriptions',
+      organizations_url: 'http://orgs'
+    };
+
+    const processor = new GitHubProcessor();
+    const document = processor.user(request);
+
+    const links = {
+      self: { href: 'urn:user:9', type: 'resource' },
+      siblings: { href: 'urn:users', type: 'collection' },
+      repos: { href: 'urn:user:9:repos', type: 'collection' },
+      starred: { href: 'urn:user:9:starred:pages:*', type: 'relation' },
+      subscriptions: { href: 'urn:user:9:subscriptions:pages:*', type: 'relation' },
+      orgs: { href: 'urn:user:9:orgs:pages:*', type: 'relation' }
+    }
+    expectLinks(document._metadata.links, links);
+
+    const expected = [
+      { type: 'repos', url: 'http://repos', qualifier: 'urn:user:9', path: '/repos' },
+    ];
+    expectQueued(queue, expected);
+  });
+
+  it('should walk the social graph in the social scenario', () => {
+    const request = createRequest('user', 'http://user/9');
+    request.policy = TraversalPolicy.getPolicy('default:social/user');
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = {
+      _metadata: { links: {} },
+      id: 9,
+      followers: 2,
+      following: 1,
+      repos_url: 'http://repos',
+      followers_url: 'http://followers',
+      following_url: 'http://following{/other_user}',
+      starred_url: 'http://starred{/owner}{/repo}',
+      subscriptions_url: 'http://subscriptions',
+      organizations_url: 'http://orgs'
+    };
+
+    const processor = new GitHubProcessor();
+    const document = processor.user(request);
+
+    const links = {
+      self: { href: 'urn:user:9', type: 'resource' },
+      siblings: { href: 'urn:users', type: 'collection' },
+      repos: { href: 'urn:user:9:repos', type: 'collection' },
+      followers: { href: 'urn:user:9:followers:pages:*', type: 'relation' },
+      following: { href: 'urn:user:9:following:pages:*', type: 'relation' },
+      starred: { href: 'urn:user:9:starred:pages:*', type: 'relation' },
+      subscriptions: { href: 'urn:user:9:subscriptions:pages:*', type: 'relation' },
+      orgs: { href: 'urn:user:9:orgs:pages:*', type: 'relation' }
+    }
+    expectLinks(document._metadata.links, links);
+
+    const expected = [
+      { type: 'repos', url: 'http://repos', qualifier: 'urn:user:9', path: '/repos' },
+      { type: 'followers', url: 'http://followers', qualifier: 'urn:user:9', path: '/followers', relation: { origin: 'user', qualifier: 'urn:user:9:followers', type: 'user' } },
+      { type: 'following', url: 'http://following', qualifier: 'urn:user:9', path: '/following', relation: { origin: 'user', qualifier: 'urn:user:9:following', type: 'user' } },
+      { type: 'starred', url: 'http://starred', qualifier: 'urn:user:9', path: '/starred', relation: { origin: 'user', qualifier: 'urn:user:9:starred', type: 'repo' } },
+      { type: 'subscriptions', url: 'http://subscriptions', qualifier: 'urn:user:9', path: '/subscriptions', relation: { origin: 'user', qualifier: 'urn:user:9:subscriptions', type: 'repo' } },
+      { type: 'orgs', url: 'http://orgs', qualifier: 'urn:user:9', path: '/orgs', relation: { origin: 'user', qualifier: 'urn:user:9:orgs', type: 'org' } }
+    ];
+    expectQueued(queue, expected);
+  });
 });
 
 describe('Repo processing', () => {
@@ -206,13 +754,24 @@ describe('Repo processing', () => {
     request.document = {
       _metadata: { links: {} },
       id: 12,
+      url: 'http://repo/12',
+      license: { key: 'mit', spdx_id: 'MIT' },
+      default_branch: 'master',
       owner: { id: 45, url: 'http://user/45' },
+      branches_url: 'http://branches{/branch}',
       collaborators_url: 'http://collaborators{/collaborator}',
       commits_url: 'http://commits{/sha}',
       contributors_url: 'http://contributors',
+      deployments_url: 'http://deployments',
       events_url: 'http://events',
+      forks_count: 3,
+      forks_url: 'http://forks',
       issues_url: 'http://issues{/number}',
+      languages_url: 'http://repo/12/languages',
+      labels_url: 'http://labels{/name}',
+      milestones_url: 'http://milestones{/number}',
       pulls_url: 'http://pulls{/number}',
+      releases_url: 'http://releases{/id}',
       stargazers_count: 2,
       stargazers_url: 'http://stargazers',
       subscribers_count: 1,
@@ -222,36 +781,155 @@ describe('Repo processing', () => {
     };
 
     const processor = new GitHubProcessor();
-    const document = processor.repo(request);
+    const document = processor.repo(request);
+
+    const links = {
+      self: { href: 'urn:repo:12', type: 'resource' },
+      siblings: { href: 'urn:user:45:repos', type: 'collection' },
+      owner: { href: 'urn:user:45', type: 'resource' },
+      organization: { href: 'urn:org:24', type: 'resource' },
+      events: { href: 'urn:repo:12:events', type: 'collection' },
+      pull_requests: { href: 'urn:repo:12:pull_requests', type: 'collection' },
+      teams: { href: 'urn:repo:12:teams:pages:*', type: 'relation' },
+      collaborators: { href: 'urn:repo:12:collaborators:pages:*', type: 'relation' },
+      contributors: { href: 'urn:repo:12:contributors:pages:*', type: 'relation' },
+      stargazers: { href: 'urn:repo:12:stargazers:pages:*', type: 'relation' },
+      subscribers: { href: 'urn:repo:12:subscribers:pages:*', type: 'relation' },
+      forks: { href: 'urn:repo:12:forks:pages:*', type: 'relation' },
+      commits: { href: 'urn:repo:12:commits', type: 'collection' },
+      issues: { href: 'urn:repo:12:issues', type: 'collection' },
+      releases: { href: 'urn:repo:12:releases', type: 'collection' },
+      labels: { href: 'urn:repo:12:labels', type: 'collection' },
+      milestones: { href: 'urn:repo:12:milestones', type: 'collection' },
+      branches: { href: 'urn:repo:12:branches', type: 'collection' },
+      deployments: { href: 'urn:repo:12:deployments', type: 'collection' },
+      languages: { href: 'urn:repo:12:languages', type: 'resource' },
+      default_branch: { href: 'urn:repo:12:branch:master', type: 'resource' },
+      license: { href: 'urn:repo:12:license', type: 'resource' },
+      community_profile: { href: 'urn:repo:12:community_profile', type: 'resource' },
+    }
+    expectLinks(document._metadata.links, links);
+
+    const expected = [
+      { type: 'user', url: 'http://user/45', path: '/owner' },
+      { type: 'org', url: 'http://org/24', path: '/organization' },
+      { type: 'teams', url: 'http://teams', qualifier: 'urn:repo:12', path: '/teams', relation: { origin: 'repo', qualifier: 'urn:repo:12:teams', type: 'team' } },
+      { type: 'collaborators', url: 'http://collaborators?affiliation=direct', qualifier: 'urn:repo:12', path: '/collaborators', relation: { origin: 'repo', qualifier: 'urn:repo:12:collaborators', type: 'user' } },
+      { type: 'contributors', url: 'http://contributors', qualifier: 'urn:repo:12', path: '/contributors', relation: { origin: 'repo', qualifier: 'urn:repo:12:contributors', type: 'user' } },
+      { type: 'stargazers', url: 'http://stargazers', qualifier: 'urn:repo:12', path: '/stargazers', relation: { origin: 'repo', qualifier: 'urn:repo:12:stargazers', type: 'user' } },
+      { type: 'subscribers', url: 'http://subscribers', qualifier: 'urn:repo:12', path: '/subscribers', relation: { origin: 'repo', qualifier: 'urn:repo:12:subscribers', type: 'user' } },
+      { type: 'issues', url: 'http://issues?state=all', qualifier: 'urn:repo:12', path: '/issues', },
+      { type: 'commits', url: 'http://commits', qualifier: 'urn:repo:12', path: '/commits', },
+      { type: 'releases', url: 'http://releases', qualifier: 'urn:repo:12', path: '/releases', },
+      { type: 'labels', url: 'http://labels', qualifier: 'urn:repo:12', path: '/labels', },
+      { type: 'milestones', url: 'http://milestones?state=all', qualifier: 'urn:repo:12', path: '/milestones', },
+      { type: 'branches', url: 'http://branches', qualifier: 'urn:repo:12', path: '/branches', },
+      { type: 'deployments', url: 'http://deployments', qualifier: 'urn:repo:12', path: '/deployments', },
+      { type: 'events', url: 'http://events', qualifier: 'urn:repo:12', path: '/events', }
+    ];
+    // forks are linked but only walked in the forks scenario, repo metadata only in the profile scenario
+    expectQueued(queue, expected);
+  });
+
+  it('should walk repo metadata in the profile scenario', () => {
+    const request = createRequest('repo', 'http://foo/repo/12');
+    request.policy = TraversalPolicy.getPolicy('default:profile/repo');
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = {
+      _metadata: { links: {} },
+      id: 12,
+      url: 'http://repo/12',
+      license: { key: 'mit', spdx_id: 'MIT' },
+      owner: { id: 45, url: 'http://user/45' },
+      branches_url: 'http://branches{/branch}',
+      collaborators_url: 'http://collaborators{/collaborator}',
+      commits_url: 'http://commits{/sha}',
+      issues_url: 'http://issues{/number}',
+      languages_url: 'http://repo/12/languages',
+      labels_url: 'http://labels{/name}',
+      milestones_url: 'http://milestones{/number}',
+      releases_url: 'http://releases{/id}'
+    };
+
+    const processor = new GitHubProcessor();
+    processor.repo(request);
+
+    const metadata = queue.filter(item => ['languages', 'license', 'community_profile'].includes(item.type));
+    expect(metadata.map(item => item.url)).to.be.deep.equal(['http://repo/12/languages', 'http://repo/12/license', 'http://repo/12/community/profile']);
+  });
+
+  it('should link fork parentage and walk forks in the forks scenario', () => {
+    const request = createRequest('repo', 'http://foo/repo/12');
+    request.policy = TraversalPolicy.getPolicy('default:forks/repo');
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = {
+      _metadata: { links: {} },
+      id: 12,
+      fork: true,
+      owner: { id: 45, url: 'http://user/45' },
+      parent: { id: 8, url: 'http://repo/8' },
+      source: { id: 2, url: 'http://repo/2' },
+      branches_url: 'http://branches{/branch}',
+      collaborators_url: 'http://collaborators{/collaborator}',
+      commits_url: 'http://commits{/sha}',
+      contributors_url: 'http://contributors',
+      deployments_url: 'http://deployments',
+      events_url: 'http://events',
+      forks_count: 3,
+      forks_url: 'http://forks',
+      issues_url: 'http://issues{/number}',
+      labels_url: 'http://labels{/name}',
+      milestones_url: 'http://milestones{/number}',
+      releases_url: 'http://releases{/id}',
+      teams_url: 'http://teams'
+    };
+
+    const processor = new GitHubProcessor();
+    const document = processor.repo(request);
+
+    const links = document._metadata.links;
+    expect(links.parent).to.be.deep.equal({ href: 'urn:repo:8', type: 'resource' });
+    expect(links.source).to.be.deep.equal({ href: 'urn:repo:2', type: 'resource' });
+    expect(links.forks.href.startsWith('urn:repo:12:forks:pages:')).to.be.true;
+
+    const expected = [
+      { type: 'user', url: 'http://user/45', path: '/owner' },
+      { type: 'repo', url: 'http://repo/8', path: '/parent' },
+      { type: 'repo', url: 'http://repo/2', path: '/source' },
+      { type: 'forks', url: 'http://forks', qualifier: 'urn:repo:12', path: '/forks', relation: { origin: 'repo', qualifier: 'urn:repo:12:forks', type: 'repo' } }
+    ];
+    expectQueued(queue, expected);
+  });
+
+  it('should link and queue ForkEvent', () => {
+    const request = createRequest('ForkEvent', 'http://foo');
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    const payload = {
+      forkee: { id: 9, url: 'http://repo/9' }
+    }
+    request.document = createEvent('ForkEvent', payload);
+
+    const processor = new GitHubProcessor();
+    const document = processor.ForkEvent(request);
 
     const links = {
-      self: { href: 'urn:repo:12', type: 'resource' },
-      siblings: { href: 'urn:user:45:repos', type: 'collection' },
-      owner: { href: 'urn:user:45', type: 'resource' },
-      organization: { href: 'urn:org:24', type: 'resource' },
-      events: { href: 'urn:repo:12:events', type: 'collection' },
-      pull_requests: { href: 'urn:repo:12:pull_requests', type: 'collection' },
-      teams: { href: 'urn:repo:12:teams:pages:*', type: 'relation' },
-      collaborators: { href: 'urn:repo:12:collaborators:pages:*', type: 'relation' },
-      contributors: { href: 'urn:repo:12:contributors:pages:*', type: 'relation' },
-      stargazers: { href: 'urn:repo:12:stargazers:pages:*', type: 'relation' },
-      subscribers: { href: 'urn:repo:12:subscribers:pages:*', type: 'relation' },
-      commits: { href: 'urn:repo:12:commits', type: 'collection' },
-      issues: { href: 'urn:repo:12:issues', type: 'collection' },
+      self: { href: 'urn:repo:4:ForkEvent:12345', type: 'resource' },
+      siblings: { href: 'urn:repo:4:ForkEvents', type: 'collection' },
+      actor: { href: 'urn:user:3', type: 'resource' },
+      repo: { href: 'urn:repo:4', type: 'resource' },
+      org: { href: 'urn:org:5', type: 'resource' },
+      forkee: { href: 'urn:repo:9', type: 'resource' }
     }
     expectLinks(document._metadata.links, links);
 
     const expected = [
-      { type: 'user', url: 'http://user/45', path: '/owner' },
-      { type: 'org', url: 'http://org/24', path: '/organization' },
-      { type: 'teams', url: 'http://teams', qualifier: 'urn:repo:12', path: '/teams', relation: { origin: 'repo', qualifier: 'urn:repo:12:teams', type: 'team' } },
-      { type: 'collaborators', url: 'http://collaborators?affiliation=direct', qualifier: 'urn:repo:12', path: '/collaborators', relation: { origin: 'repo', qualifier: 'urn:repo:12:collaborators', type: 'user' } },
-      { type: 'contributors', url: 'http://contributors', qualifier: 'urn:repo:12', path: '/contributors', relation: { origin: 'repo', qualifier: 'urn:repo:12:contributors', type: 'user' } },
-      { type: 'stargazers', url: 'http://stargazers', qualifier: 'urn:repo:12', path: '/stargazers', relation: { origin: 'repo', qualifier: 'urn:repo:12:stargazers', type: 'user' } },
-      { type: 'subscribers', url: 'http://subscribers', qualifier: 'urn:repo:12', path: '/subscribers', relation: { origin: 'repo', qualifier: 'urn:repo:12:subscribers', type: 'user' } },
-      { type: 'issues', url: 'http://issues?state=all', qualifier: 'urn:repo:12', path: '/issues', },
-      { type: 'commits', url: 'http://commits', qualifier: 'urn:repo:12', path: '/commits', },
-      { type: 'events', url: 'http://events', qualifier: 'urn:repo:12', path: '/events', }
+      { type: 'user', url: 'http://user/3', path: '/actor' },
+      { type: 'repo', url: 'http://repo/4', path: '/repo' },
+      { type: 'org', url: 'http://org/5', path: '/org' },
+      { type: 'repo', url: 'http://repo/9', path: '/forkee' }
     ];
     expectQueued(queue, expected);
   });
@@ -264,13 +942,21 @@ describe('Repo processing', () => {
     request.document = {
       _metadata: { links: {} },
       id: 12,
+      url: 'http://repo/12',
+      private: true,
       owner: { id: 45, url: 'http://user/45' },
+      branches_url: 'http://branches{/branch}',
       collaborators_url: 'http://collaborators{/collaborator}',
       commits_url: 'http://commits{/sha}',
       contributors_url: 'http://contributors',
+      deployments_url: 'http://deployments',
       events_url: 'http://events',
       issues_url: 'http://issues{/number}',
+      languages_url: 'http://repo/12/languages',
+      labels_url: 'http://labels{/name}',
+      milestones_url: 'http://milestones{/number}',
       pulls_url: 'http://pulls{/number}',
+      releases_url: 'http://releases{/id}',
       stargazers_count: 2,
       stargazers_url: 'http://stargazers',
       subscribers_count: 1,
@@ -296,6 +982,12 @@ describe('Repo processing', () => {
       subscribers: { href: 'urn:repo:12:subscribers:pages:*', type: 'relation' },
       commits: { href: 'urn:repo:12:commits', type: 'collection' },
       issues: { href: 'urn:repo:12:issues', type: 'collection' },
+      releases: { href: 'urn:repo:12:releases', type: 'collection' },
+      labels: { href: 'urn:repo:12:labels', type: 'collection' },
+      milestones: { href: 'urn:repo:12:milestones', type: 'collection' },
+      branches: { href: 'urn:repo:12:branches', type: 'collection' },
+      deployments: { href: 'urn:repo:12:deployments', type: 'collection' },
+      languages: { href: 'urn:repo:12:languages', type: 'resource' },
     }
     expectLinks(document._metadata.links, links);
 
@@ -309,11 +1001,34 @@ describe('Repo processing', () => {
       { type: 'subscribers', url: 'http://subscribers', qualifier: 'urn:repo:12', path: '/subscribers', relation: { origin: 'repo', qualifier: 'urn:repo:12:subscribers', type: 'user' } },
       { type: 'issues', url: 'http://issues?state=all', qualifier: 'urn:repo:12', path: '/issues', },
       { type: 'commits', url: 'http://commits', qualifier: 'urn:repo:12', path: '/commits', },
+      { type: 'releases', url: 'http://releases', qualifier: 'urn:repo:12', path: '/releases', },
+      { type: 'labels', url: 'http://labels', qualifier: 'urn:repo:12', path: '/labels', },
+      { type: 'milestones', url: 'http://milestones?state=all', qualifier: 'urn:repo:12', path: '/milestones', },
+      { type: 'branches', url: 'http://branches', qualifier: 'urn:repo:12', path: '/branches', },
+      { type: 'deployments', url: 'http://deployments', qualifier: 'urn:repo:12', path: '/deployments', },
       { type: 'events', url: 'http://events', qualifier: 'urn:repo:12', path: '/events', }
     ];
     expectQueued(queue, expected);
   });
 
+  it('should link repo content metadata', () => {
+    const queue = [];
+    const crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    const processor = new GitHubProcessor();
+    ['languages', 'license', 'community_profile'].forEach(type => {
+      const request = createRequest(type, `http://repo/12/${type}`, { qualifier: 'urn:repo:12' });
+      request.crawler = crawler;
+      request.document = { _metadata: { links: {} } };
+      const document = processor[type](request);
+      const links = {
+        self: { href: `urn:repo:12:${type}`, type: 'resource' },
+        repo: { href: 'urn:repo:12', type: 'resource' }
+      };
+      expectLinks(document._metadata.links, links);
+    });
+    expectQueued(queue, []);
+  });
+
   it('should link and queue CreateEvent', () => {
     const request = createRequest('CreateEvent', 'http://foo');
     const queue = [];
@@ -411,6 +1126,8 @@ describe('Commit processing', () => {
       author: { href: 'urn:user:7', type: 'resource' },
       committer: { href: 'urn:user:15', type: 'resource' },
       repo: { href: 'urn:repo:12', type: 'resource' },
+      check_suites: { href: 'urn:repo:12:commit:6dcb09b5b5:check_suites', type: 'collection' },
+      check_runs: { href: 'urn:repo:12:commit:6dcb09b5b5:check_runs', type: 'collection' }
     };
     expectLinks(document._metadata.links, links);
 
@@ -456,6 +1173,236 @@ describe('Commit processing', () => {
   });
 });
 
+describe('Commit email resolution', () => {
+  it('should record the email mapping when the commit has the user', () => {
+    const request = createEmailCommitRequest({ id: 7, login: 'fred', url: 'http://user/7' });
+    const queue = request.crawler.queued;
+    const document = new GitHubProcessor().commit(request);
+
+    expect(document._metadata.links.author_email).to.be.deep.equal({ href: 'urn:email:fred@example.com', type: 'resource' });
+    expect(document._metadata.links.committer_email).to.be.deep.equal({ href: 'urn:email:fred@example.com', type: 'resource' });
+    const emails = queue.filter(queued => queued.type === 'email');
+    expect(emails.length).to.be.equal(2);
+    expect(emails[0].url).to.be.equal('mailto:fred@example.com');
+    expect(emails[0].payload.body).to.be.deep.equal({ email: 'fred@example.com', user: { id: 7, login: 'fred', url: 'http://user/7' } });
+  });
+
+  it('should record unresolved emails when the commit has no user', () => {
+    const request = createEmailCommitRequest(null);
+    const queue = request.crawler.queued;
+    const document = new GitHubProcessor().commit(request);
+
+    expect(document._metadata.links.author_email).to.be.deep.equal({ href: 'urn:email:fred@example.com', type: 'resource' });
+    const emails = queue.filter(queued => queued.type === 'unresolved_email');
+    expect(emails.length).to.be.equal(2);
+    const commit = { type: 'commit', url: 'http://repo/12/commits/6dcb09b5b5', qualifier: 'urn:repo:12' };
+    expect(emails[0].payload.body).to.be.deep.equal({ email: 'fred@example.com', name: 'Fred', commits: [commit] });
+  });
+
+  it('should link but not queue emails by default', () => {
+    const request = createEmailCommitRequest(null, 'Fred@example.com', TraversalPolicy.default('commit'));
+    const queue = request.crawler.queued;
+    const document = new GitHubProcessor().commit(request);
+
+    expect(document._metadata.links.author_email).to.be.deep.equal({ href: 'urn:email:fred@example.com', type: 'resource' });
+    expect(queue.filter(queued => queued.type.endsWith('email')).length).to.be.equal(0);
+  });
+
+  it('should link email-only authors to users already mapped to the email', () => {
+    const request = createEmailCommitRequest(null);
+    const queue = request.crawler.queued;
+    const store = { get: sinon.spy((type, key) => type === 'email' && key === 'mailto:fred@example.com' ? Q({ user: { id: 7 } }) : Q.reject(new Error('missing'))) };
+    return Q(new GitHubProcessor(store).commit(request)).then(document => {
+      expect(document._metadata.links.author).to.be.deep.equal({ href: 'urn:user:7', type: 'resource' });
+      expect(document._metadata.links.committer).to.be.deep.equal({ href: 'urn:user:7', type: 'resource' });
+      expect(queue.filter(queued => queued.type.endsWith('email')).length).to.be.equal(0);
+    });
+  });
+
+  it('should record unresolved emails when the store has no mapping', () => {
+    const request = createEmailCommitRequest(null);
+    const queue = request.crawler.queued;
+    const store = { get: () => Q.reject(new Error('missing')) };
+    return Q(new GitHubProcessor(store).commit(request)).then(document => {
+      expect(document._metadata.links.author).to.be.undefined;
+      expect(queue.filter(queued => queued.type === 'unresolved_email').length).to.be.equal(2);
+    });
+  });
+
+  it('should accumulate the commits of unresolved emails', () => {
+    const request = createRequest('unresolved_email', 'mailto:fred@example.com');
+    const first = { type: 'commit', url: 'http://commit/1', qualifier: 'urn:repo:12' };
+    const second = { type: 'commit', url: 'http://commit/2', qualifier: 'urn:repo:12' };
+    request.document = { _metadata: { links: {} }, email: 'fred@example.com', name: 'Fred', commits: [second] };
+    const store = { get: () => Q({ email: 'fred@example.com', commits: [first, second] }) };
+    return Q(new GitHubProcessor(store).unresolved_email(request)).then(document => {
+      expect(document.commits).to.be.deep.equal([second, first]);
+    });
+  });
+
+  it('should backfill commits once an email is resolved', () => {
+    const request = createRequest('email', 'mailto:fred@example.com');
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = { _metadata: { links: {} }, email: 'fred@example.com', user: { id: 7 } };
+    const commit = { type: 'commit', url: 'http://commit/1', qualifier: 'urn:repo:12' };
+    const store = { get: sinon.spy(() => Q({ email: 'fred@example.com', name: 'Fred', commits: [commit] })) };
+    return Q(new GitHubProcessor(store).email(request)).then(() => {
+      expect(store.get.getCall(0).args).to.be.deep.equal(['unresolved_email', 'mailto:fred@example.com']);
+      expect(queue.length).to.be.equal(2);
+      expect(queue[0].type).to.be.equal('commit');
+      expect(queue[0].url).to.be.equal('http://commit/1');
+      expect(queue[0].context.qualifier).to.be.equal('urn:repo:12');
+      expect(queue[0].policy.getShortForm()).to.be.equal(TraversalPolicy.reprocessAlways('self').getShortForm());
+      expect(queue[1].type).to.be.equal('unresolved_email');
+      expect(queue[1].payload.body.commits).to.be.deep.equal([]);
+      expect(queue[1].payload.body.user).to.be.deep.equal({ id: 7 });
+    });
+  });
+
+  it('should resolve GitHub noreply emails', () => {
+    const request = createEmailCommitRequest(null, '42+fred@users.noreply.github.com');
+    const queue = request.crawler.queued;
+    new GitHubProcessor().commit(request);
+
+    const emails = queue.filter(queued => queued.type === 'email');
+    expect(emails.length).to.be.equal(2);
+    expect(emails[0].payload.body.user).to.be.deep.equal({ id: 42, login: 'fred', url: undefined });
+    expect(request.document._metadata.links.author).to.be.deep.equal({ href: 'urn:user:42', type: 'resource' });
+  });
+
+  it('should link email to user', () => {
+    const request = createRequest('email', 'mailto:fred@example.com');
+    request.document = { _metadata: { links: {} }, email: 'fred@example.com', user: { id: 7 } };
+    const document = new GitHubProcessor().email(request);
+
+    const links = {
+      self: { href: 'urn:email:fred@example.com', type: 'resource' },
+      user: { href: 'urn:user:7', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+  });
+
+  it('should only search for unresolved emails when configured', () => {
+    [false, true].forEach(search => {
+      const request = createRequest('unresolved_email', 'mailto:fred@example.com');
+      const queue = [];
+      request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+      request.document = { _metadata: { links: {} }, email: 'fred@example.com', name: 'Fred' };
+      const document = new GitHubProcessor(null, { emails: { search: search } }).unresolved_email(request);
+
+      const links = {
+        self: { href: 'urn:email:fred@example.com:unresolved', type: 'resource' },
+        email: { href: 'urn:email:fred@example.com', type: 'resource' }
+      }
+      expectLinks(document._metadata.links, links);
+      const expected = search ? [{ type: 'email_search', url: 'https://api.github.com/search/users?q=fred%40example.com+in:email', path: '/email_search' }] : [];
+      expectQueued(queue, expected);
+    });
+  });
+
+  it('should record unambiguous email search results', () => {
+    const request = createRequest('email_search', 'https://api.github.com/search/users?q=fred%40example.com+in:email', { email: 'fred@example.com' });
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = { _metadata: { links: {} }, total_count: 1, items: [{ id: 7, login: 'fred', url: 'http://user/7' }] };
+    new GitHubProcessor().email_search(request);
+
+    expect(request.shouldSave()).to.be.false;
+    expect(queue.length).to.be.equal(1);
+    expect(queue[0].type).to.be.equal('email');
+    expect(queue[0].payload.body).to.be.deep.equal({ email: 'fred@example.com', user: { id: 7, login: 'fred', url: 'http://user/7' } });
+  });
+
+  function createEmailCommitRequest(user, email = 'Fred@example.com', policy = TraversalPolicy.getPolicy('default:emails/commit')) {
+    const request = createRequest('commit', 'http://repo/12/commits/6dcb09b5b5', { qualifier: 'urn:repo:12' });
+    request.policy = policy;
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }), queued: queue };
+    request.document = {
+      _metadata: { links: {} },
+      sha: '6dcb09b5b5',
+      url: 'http://repo/12/commits/6dcb09b5b5',
+      commit: {
+        comment_count: 0,
+        author: { name: 'Fred', email: email },
+        committer: { name: 'Fred', email: email }
+      },
+      author: user,
+      committer: user
+    };
+    return request;
+  }
+});
+
+describe('Commit patch retention', () => {
+  it('should drop patches by default', () => {
+    const request = createPatchedCommitRequest();
+    const document = new GitHubProcessor().commit(request);
+
+    expect(document.files.every(file => file.patch === undefined)).to.be.true;
+    expect(document._metadata.links.commit_patch).to.be.undefined;
+  });
+
+  it('should keep patches up to the size limit inline', () => {
+    const request = createPatchedCommitRequest();
+    const document = new GitHubProcessor(null, { patches: { retention: 'inline', maxSize: 20 } }).commit(request);
+
+    expect(document.files[0].patch).to.be.equal('@@ -1 +1 @@');
+    expect(document.files[1].patch).to.be.undefined;
+    expect(document._metadata.links.commit_patch).to.be.undefined;
+  });
+
+  it('should move patches to a separate commit_patch document', () => {
+    const request = createPatchedCommitRequest();
+    const queue = request.crawler.queued;
+    const document = new GitHubProcessor(null, { patches: { retention: 'separate', maxSize: 0 } }).commit(request);
+
+    expect(document.files.every(file => file.patch === undefined)).to.be.true;
+    expect(document._metadata.links.commit_patch).to.be.deep.equal({ href: 'urn:repo:12:commit:6dcb09b5b5:commit_patch', type: 'resource' });
+    const patchRequest = queue.find(queued => queued.type === 'commit_patch');
+    expect(patchRequest.url).to.be.equal('http://repo/12/commits/6dcb09b5b5/patch');
+    expect(patchRequest.context.qualifier).to.be.equal('urn:repo:12:commit:6dcb09b5b5');
+    expect(patchRequest.payload.body).to.be.deep.equal({
+      sha: '6dcb09b5b5',
+      files: [
+        { filename: 'a.js', sha: 'f1', patch: '@@ -1 +1 @@' },
+        { filename: 'b.js', sha: 'f2', patch: '@@ -1,20 +1,30 @@ lots of changes' }
+      ]
+    });
+  });
+
+  it('should link commit_patch', () => {
+    const request = createRequest('commit_patch', 'http://repo/12/commits/6dcb09b5b5/patch', { qualifier: 'urn:repo:12:commit:6dcb09b5b5' });
+    request.document = { _metadata: { links: {} }, sha: '6dcb09b5b5', files: [] };
+    const document = new GitHubProcessor().commit_patch(request);
+
+    const links = {
+      self: { href: 'urn:repo:12:commit:6dcb09b5b5:commit_patch', type: 'resource' },
+      commit: { href: 'urn:repo:12:commit:6dcb09b5b5', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+  });
+
+  function createPatchedCommitRequest() {
+    const request = createRequest('commit', 'http://repo/12/commits/6dcb09b5b5', { qualifier: 'urn:repo:12' });
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }), queued: queue };
+    request.document = {
+      _metadata: { links: {} },
+      sha: '6dcb09b5b5',
+      url: 'http://repo/12/commits/6dcb09b5b5',
+      commit: { comment_count: 0 },
+      files: [
+        { filename: 'a.js', sha: 'f1', patch: '@@ -1 +1 @@' },
+        { filename: 'b.js', sha: 'f2', patch: '@@ -1,20 +1,30 @@ lots of changes' },
+        { filename: 'c.png', sha: 'f3' }
+      ]
+    };
+    return request;
+  }
+});
+
 describe('Pull request commit processing', () => {
   it('should link and queue pull request commit correctly without comments', () => {
     testPullRequestCommit(false);
@@ -493,6 +1440,8 @@ describe('Pull request commit processing', () => {
       committer: { href: 'urn:user:15', type: 'resource' },
       repo: { href: 'urn:repo:12', type: 'resource' },
       pull_request : { href: 'urn:repo:12:pull_request:9', type: 'resource' },
+      check_suites: { href: 'urn:repo:12:commit:77cb09b5b5:check_suites', type: 'collection' },
+      check_runs: { href: 'urn:repo:12:commit:77cb09b5b5:check_runs', type: 'collection' },
       pull_request_commit_comments: { href: 'urn:repo:12:pull_request:9:pull_request_commit:77cb09b5b5:pull_request_commit_comments', type: 'collection' }
     };
     expectLinks(document._metadata.links, links);
@@ -528,6 +1477,7 @@ describe('Commit comment processing', () => {
       siblings: { href: 'urn:repo:12:commit:a1b1:commit_comments', type: 'collection' },
       commit: { href: 'urn:repo:12:commit:a1b1', type: 'resource' },
       user: { href: 'urn:user:7', type: 'resource' },
+      reactions: { href: 'urn:repo:12:commit:a1b1:commit_comment:37:reactions', type: 'collection' },
     }
     expectLinks(document._metadata.links, links);
 
@@ -590,6 +1540,7 @@ describe('Pull request commit comment processing', () => {
       siblings: { href: 'urn:repo:12:pull_request:7:pull_request_commit:a1b1:pull_request_commit_comments', type: 'collection' },
       pull_request_commit: { href: 'urn:repo:12:pull_request:7:pull_request_commit:a1b1', type: 'resource' },
       user: { href: 'urn:user:7', type: 'resource' },
+      reactions: { href: 'urn:repo:12:pull_request:7:pull_request_commit:a1b1:pull_request_commit_comment:37:reactions', type: 'collection' },
     }
     expectLinks(document._metadata.links, links);
 
@@ -610,21 +1561,254 @@ describe('Deployment processing', () => {
       _metadata: { links: {} },
       id: 3,
       sha: '6dcb09b5b5',
+      environment: 'production',
+      repository_url: 'http://repo/12',
+      statuses_url: 'http://repo/12/deployments/3/statuses',
+      creator: { id: 7, url: 'http://user/7' }
+    };
+    const processor = new GitHubProcessor();
+    const document = processor.deployment(request);
+
+    const links = {
+      self: { href: 'urn:repo:12:deployment:3', type: 'resource' },
+      siblings: { href: 'urn:repo:12:deployments', type: 'collection' },
+      creator: { href: 'urn:user:7', type: 'resource' },
+      commit: { href: 'urn:repo:12:commit:6dcb09b5b5', type: 'resource' },
+      deployment_statuses: { href: 'urn:repo:12:deployment:3:deployment_statuses', type: 'collection' },
+      environment: { href: 'urn:repo:12:environment:production', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+
+    const expected = [
+      { type: 'user', url: 'http://user/7', path: '/creator' },
+      { type: 'deployment_statuses', url: 'http://repo/12/deployments/3/statuses', qualifier: 'urn:repo:12:deployment:3', path: '/deployment_statuses' },
+      { type: 'environment', url: 'http://repo/12/environments/production', qualifier: 'urn:repo:12', path: '/environment' }
+    ];
+    expectQueued(queue, expected);
+  });
+
+  it('should encode the environment name in its url', () => {
+    const request = createRequest('deployment', 'http://foo');
+    request.context = { qualifier: 'urn:repo:12' };
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = {
+      _metadata: { links: {} },
+      id: 3,
+      sha: '6dcb09b5b5',
+      environment: 'Production EU/West',
+      repository_url: 'http://repo/12',
+      statuses_url: 'http://repo/12/deployments/3/statuses',
+      creator: { id: 7, url: 'http://user/7' }
+    };
+    const processor = new GitHubProcessor();
+    const document = processor.deployment(request);
+
+    expect(document._metadata.links.environment.href).to.be.equal('urn:repo:12:environment:Production EU/West');
+    const environment = queue.find(queued => queued.type === 'environment');
+    expect(environment.url).to.be.equal('http://repo/12/environments/Production%20EU%2FWest');
+  });
+
+  it('should link and queue deployment status', () => {
+    const request = createRequest('deployment_status', 'http://repo/12/deployments/3/statuses/5', { qualifier: 'urn:repo:12:deployment:3' });
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = {
+      _metadata: { links: {} },
+      id: 5,
+      state: 'success',
       creator: { id: 7, url: 'http://user/7' }
     };
     const processor = new GitHubProcessor();
-    const document = processor.deployment(request);
+    const document = processor.deployment_status(request);
+
+    const links = {
+      self: { href: 'urn:repo:12:deployment:3:deployment_status:5', type: 'resource' },
+      siblings: { href: 'urn:repo:12:deployment:3:deployment_statuses', type: 'collection' },
+      deployment: { href: 'urn:repo:12:deployment:3', type: 'resource' },
+      creator: { href: 'urn:user:7', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+
+    const expected = [
+      { type: 'user', url: 'http://user/7', path: '/creator' }
+    ];
+    expectQueued(queue, expected);
+  });
+
+  it('should link environment', () => {
+    const request = createRequest('environment', 'http://repo/12/environments/production', { qualifier: 'urn:repo:12' });
+    request.document = { _metadata: { links: {} }, id: 161088068, name: 'production' };
+    const processor = new GitHubProcessor();
+    const document = processor.environment(request);
+
+    const links = {
+      self: { href: 'urn:repo:12:environment:production', type: 'resource' },
+      siblings: { href: 'urn:repo:12:environments', type: 'collection' },
+      repo: { href: 'urn:repo:12', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+  });
+
+  it('should link and queue DeploymentStatusEvent', () => {
+    const request = createRequest('DeploymentStatusEvent', 'http://foo');
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    const payload = {
+      deployment: { id: 3, url: 'http://repo/4/deployments/3' },
+      deployment_status: { id: 5, url: 'http://repo/4/deployments/3/statuses/5' }
+    }
+    request.document = createEvent('DeploymentStatusEvent', payload);
+
+    const processor = new GitHubProcessor();
+    const document = processor.DeploymentStatusEvent(request);
+
+    const links = {
+      self: { href: 'urn:repo:4:DeploymentStatusEvent:12345', type: 'resource' },
+      siblings: { href: 'urn:repo:4:DeploymentStatusEvents', type: 'collection' },
+      actor: { href: 'urn:user:3', type: 'resource' },
+      repo: { href: 'urn:repo:4', type: 'resource' },
+      org: { href: 'urn:org:5', type: 'resource' },
+      deployment: { href: 'urn:repo:4:deployment:3', type: 'resource' },
+      deployment_status: { href: 'urn:repo:4:deployment:3:deployment_status:5', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+
+    const expected = [
+      { type: 'user', url: 'http://user/3', path: '/actor' },
+      { type: 'repo', url: 'http://repo/4', path: '/repo' },
+      { type: 'org', url: 'http://org/5', path: '/org' },
+      { type: 'deployment', url: 'http://repo/4/deployments/3', path: '/deployment' },
+      { type: 'deployment_status', url: 'http://repo/4/deployments/3/statuses/5', qualifier: 'urn:repo:4:deployment:3', path: '/deployment_status' }
+    ];
+    expectQueued(queue, expected);
+  });
+});
+
+describe('Release processing', () => {
+  it('should link and queue correctly', () => {
+    const request = createRequest('release', 'http://foo/release');
+    request.context = { qualifier: 'urn:repo:12' };
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = {
+      _metadata: { links: {} },
+      id: 3,
+      tag_name: 'v1.0.0',
+      target_commitish: '6dcb09b5b57875f334f61aebed695e2e4193db5e',
+      assets_url: 'http://release/3/assets',
+      assets: [{ id: 1, url: 'http://asset/1' }],
+      author: { id: 7, url: 'http://user/7' }
+    };
+    request.processMode = 'process';
+    const processor = new GitHubProcessor();
+    const document = processor.release(request);
+
+    const links = {
+      self: { href: 'urn:repo:12:release:3', type: 'resource' },
+      siblings: { href: 'urn:repo:12:releases', type: 'collection' },
+      tag: { href: 'urn:repo:12:tag:v1.0.0', type: 'resource' },
+      commit: { href: 'urn:repo:12:commit:6dcb09b5b57875f334f61aebed695e2e4193db5e', type: 'resource' },
+      author: { href: 'urn:user:7', type: 'resource' },
+      release_assets: { href: 'urn:repo:12:release:3:release_assets', type: 'collection' }
+    }
+    expectLinks(document._metadata.links, links);
+
+    const expected = [
+      { type: 'user', url: 'http://user/7', path: '/author' },
+      { type: 'release_assets', url: 'http://release/3/assets', qualifier: 'urn:repo:12:release:3', path: '/release_assets' }
+    ];
+    expectQueued(queue, expected);
+  });
+
+  it('should not link a commit or queue assets for a branch release without assets', () => {
+    const request = createRequest('release', 'http://foo/release');
+    request.context = { qualifier: 'urn:repo:12' };
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = {
+      _metadata: { links: {} },
+      id: 3,
+      tag_name: 'v1.0.0',
+      target_commitish: 'master',
+      assets_url: 'http://release/3/assets',
+      assets: [],
+      author: { id: 7, url: 'http://user/7' }
+    };
+    request.processMode = 'process';
+    const processor = new GitHubProcessor();
+    const document = processor.release(request);
+
+    const links = {
+      self: { href: 'urn:repo:12:release:3', type: 'resource' },
+      siblings: { href: 'urn:repo:12:releases', type: 'collection' },
+      tag: { href: 'urn:repo:12:tag:v1.0.0', type: 'resource' },
+      author: { href: 'urn:user:7', type: 'resource' },
+      release_assets: { href: 'urn:repo:12:release:3:release_assets', type: 'collection' }
+    }
+    expectLinks(document._metadata.links, links);
+
+    const expected = [
+      { type: 'user', url: 'http://user/7', path: '/author' }
+    ];
+    expectQueued(queue, expected);
+  });
+
+  it('should link and queue release asset correctly', () => {
+    const request = createRequest('release_asset', 'http://foo/asset');
+    request.context = { qualifier: 'urn:repo:12:release:3' };
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = {
+      _metadata: { links: {} },
+      id: 1,
+      uploader: { id: 7, url: 'http://user/7' }
+    };
+    const processor = new GitHubProcessor();
+    const document = processor.release_asset(request);
+
+    const links = {
+      self: { href: 'urn:repo:12:release:3:release_asset:1', type: 'resource' },
+      siblings: { href: 'urn:repo:12:release:3:release_assets', type: 'collection' },
+      release: { href: 'urn:repo:12:release:3', type: 'resource' },
+      uploader: { href: 'urn:user:7', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+
+    const expected = [
+      { type: 'user', url: 'http://user/7', path: '/uploader' }
+    ];
+    expectQueued(queue, expected);
+  });
+
+  it('should link and queue ReleaseEvent', () => {
+    const request = createRequest('ReleaseEvent', 'http://foo/release');
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    const payload = {
+      action: 'published',
+      release: { id: 3, url: 'http://release/3' }
+    }
+    request.document = createEvent('ReleaseEvent', payload);
+
+    const processor = new GitHubProcessor();
+    const document = processor.ReleaseEvent(request);
 
     const links = {
-      self: { href: 'urn:repo:12:deployment:3', type: 'resource' },
-      siblings: { href: 'urn:repo:12:deployments', type: 'collection' },
-      creator: { href: 'urn:user:7', type: 'resource' },
-      commit: { href: 'urn:repo:12:commit:6dcb09b5b5', type: 'resource' }
+      self: { href: 'urn:repo:4:ReleaseEvent:12345', type: 'resource' },
+      siblings: { href: 'urn:repo:4:ReleaseEvents', type: 'collection' },
+      actor: { href: 'urn:user:3', type: 'resource' },
+      repo: { href: 'urn:repo:4', type: 'resource' },
+      org: { href: 'urn:org:5', type: 'resource' },
+      release: { href: 'urn:repo:4:release:3', type: 'resource' }
     }
     expectLinks(document._metadata.links, links);
 
     const expected = [
-      { type: 'user', url: 'http://user/7', path: '/creator' }
+      { type: 'user', url: 'http://user/3', path: '/actor' },
+      { type: 'repo', url: 'http://repo/4', path: '/repo' },
+      { type: 'org', url: 'http://org/5', path: '/org' },
+      { type: 'release', url: 'http://release/3', qualifier: 'urn:repo:4', path: '/release' }
     ];
     expectQueued(queue, expected);
   });
@@ -671,6 +1855,7 @@ describe('Pull Request processing', () => {
       review_comments: { href: 'urn:repo:12:pull_request:13:review_comments', type: 'collection' },
       pull_request_commits: { href: 'urn:repo:12:pull_request:13:pull_request_commits', type: 'collection' },
       statuses: { href: 'urn:repo:12:commit:funkySHA:statuses', type: 'collection' },
+      combined_status: { href: 'urn:repo:12:commit:funkySHA:combined_status', type: 'resource' },
       issue: { href: 'urn:repo:12:issue:13', type: 'resource' },
       issue_comments: { href: 'urn:repo:12:issue:13:issue_comments', type: 'collection' }
     }
@@ -684,12 +1869,45 @@ describe('Pull Request processing', () => {
       { type: 'repo', url: 'http://repo/17', path: '/base' },
       { type: 'reviews', url: 'http://pull_request/13/reviews', qualifier: 'urn:repo:12:pull_request:13', path: '/reviews' },
       { type: 'review_comments', url: 'http://review_comments', qualifier: 'urn:repo:12:pull_request:13', path: '/review_comments' },
-      { type: 'statuses', url: 'http://statuses/funkySHA', qualifier: 'urn:repo:12:pull_request:13', path: '/statuses' },
+      { type: 'statuses', url: 'http://statuses/funkySHA', qualifier: 'urn:repo:12:commit:funkySHA', path: '/statuses' },
+      { type: 'combined_status', url: 'http://commits/funkySHA/status', qualifier: 'urn:repo:12:commit:funkySHA', path: '/combined_status' },
       { type: 'pull_request_commits', url: 'http://commits', qualifier: 'urn:repo:12:pull_request:13', path: '/pull_request_commits' }
     ];
     expectQueued(queue, expected);
   });
 
+  it('should queue embedded reviews and commits with their content', () => {
+    const request = createRequest('pull_request', 'http://foo/pull');
+    request.context = { qualifier: 'urn:repo:12' };
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    const review = { id: 21, user: { id: 8, url: 'http://user/8' }, pull_request_url: 'http://pull_request/13' };
+    const commit = { sha: 'abc', url: 'http://repo/17/commits/abc', commit: {} };
+    request.document = {
+      _metadata: { links: {} },
+      id: 13,
+      comments: 0,
+      commits: 1,
+      base: { repo: { id: 17, url: 'http://repo/17' } },
+      head: { repo: null },
+      _links: { self: { href: 'http://pull_request/13' }, commits: { href: 'http://commits' } },
+      _embedded: { reviews: [review], pull_request_commits: [commit] }
+    };
+    const document = new GitHubProcessor().pull_request(request);
+
+    expect(document._embedded).to.be.undefined;
+    expect(document._metadata.links.reviews).to.be.deep.equal({ href: 'urn:repo:12:pull_request:13:reviews', type: 'collection' });
+    expect(document._metadata.links.pull_request_commits).to.be.deep.equal({ href: 'urn:repo:12:pull_request:13:pull_request_commits', type: 'collection' });
+    const expected = [
+      { type: 'repo', url: 'http://repo/17', path: '/base' },
+      { type: 'review', url: 'http://pull_request/13/reviews/21', qualifier: 'urn:repo:12:pull_request:13', path: '/reviews' },
+      { type: 'pull_request_commit', url: 'http://repo/17/commits/abc', qualifier: 'urn:repo:12:pull_request:13', path: '/pull_request_commits' }
+    ];
+    expectQueued(queue, expected);
+    expect(queue[1].payload.body).to.be.equal(review);
+    expect(queue[2].payload.body).to.be.equal(commit);
+  });
+
   it('should link and queue PullRequestEvent', () => {
     const request = createRequest('PullRequestEvent', 'http://foo/pull');
     const queue = [];
@@ -773,6 +1991,7 @@ describe('Pull request/review comment processing', () => {
       siblings: { href: 'urn:repo:12:pull_request:27:review_comments', type: 'collection' },
       pull_request: { href: 'urn:repo:12:pull_request:27', type: 'resource' },
       user: { href: 'urn:user:7', type: 'resource' },
+      reactions: { href: 'urn:repo:12:pull_request:27:review_comment:37:reactions', type: 'collection' },
     }
     expectLinks(document._metadata.links, links);
 
@@ -843,88 +2062,367 @@ describe('Pull request/review comment processing', () => {
 
     const queue = [];
     request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
-    const processor = new GitHubProcessor();
-    const document = processor.PullRequestReviewCommentEvent(request);
+    const processor = new GitHubProcessor();
+    const document = processor.PullRequestReviewCommentEvent(request);
+
+    // test that the new request got queued and that the doc has the right stuff
+
+    const newRequest = queue.pop();
+    newRequest.document = { id: 1, url: 'http://pull_request/1' }
+    testPullRequestReviewCommentEvent(newRequest, 'LegacyPullRequestReviewCommentEvent', false);
+  });
+});
+
+describe('Issue processing', () => {
+  it('should link and queue correctly', () => {
+    const request = createRequest('issue', 'http://repo/issue');
+    request.context = { qualifier: 'urn:repo:12' };
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = {
+      _metadata: { links: {} },
+      id: 27,
+      comments: 1,
+      assignee: { id: 1, url: 'http://user/1' },
+      assignees: [{ id: 50 }, { id: 51 }],
+      milestone: { id: 26 },
+      labels: [{ id: 88 }, { id: 99 }],
+      repo: { id: 45, url: 'http://repo/45' },
+      comments_url: 'http://issue/27/comments',
+      pull_request: { url: 'http://pull_request/27' },
+      user: { id: 7, url: 'http://user/7' },
+      closed_by: { id: 15, url: 'http://user/15' }
+    };
+    const processor = new GitHubProcessor();
+    const document = processor.issue(request);
+
+    const links = {
+      self: { href: 'urn:repo:12:issue:27', type: 'resource' },
+      siblings: { href: 'urn:repo:12:issues', type: 'collection' },
+      user: { href: 'urn:user:7', type: 'resource' },
+      labels: { hrefs: ['urn:repo:12:label:88', 'urn:repo:12:label:99'], type: 'resource' },
+      milestone: { href: 'urn:repo:12:milestone:26', type: 'resource' },
+      closed_by: { href: 'urn:user:15', type: 'resource' },
+      assignee: { href: 'urn:user:1', type: 'resource' },
+      repo: { href: 'urn:repo:12', type: 'resource' },
+      assignees: { hrefs: ['urn:user:50', 'urn:user:51'], type: 'resource' },
+      issue_comments: { href: 'urn:repo:12:issue:27:issue_comments', type: 'collection' },
+      pull_request: { href: 'urn:repo:12:pull_request:27', type: 'resource' },
+      reactions: { href: 'urn:repo:12:issue:27:reactions', type: 'collection' },
+    }
+    expectLinks(document._metadata.links, links);
+
+    const expected = [
+      { type: 'user', url: 'http://user/7', path: '/user' },
+      { type: 'user', url: 'http://user/15', path: '/closed_by' },
+      { type: 'user', url: 'http://user/1', path: '/assignee' },
+      { type: 'repo', url: 'http://repo/45', path: '/repo' },
+      { type: 'issue_comments', url: 'http://issue/27/comments', qualifier: 'urn:repo:12:issue:27', path: '/issue_comments' },
+      { type: 'pull_request', url: 'http://pull_request/27', qualifier: 'urn:repo:12', path: '/pull_request' }
+    ];
+    expectQueued(queue, expected);
+  });
+
+  it('should link and queue IssuesEvent', () => {
+    const request = createRequest('IssuesEvent', 'http://foo/pull');
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    const payload = {
+      assignee: { id: 2, url: 'http://user/2' },
+      issue: { id: 1, url: 'http://issue/1' },
+      label: { id: 8, url: 'http://label/8' }
+    }
+    request.document = createEvent('IssuesEvent', payload);
+
+    const processor = new GitHubProcessor();
+    const document = processor.IssuesEvent(request);
+
+    const links = {
+      self: { href: 'urn:repo:4:IssuesEvent:12345', type: 'resource' },
+      siblings: { href: 'urn:repo:4:IssuesEvents', type: 'collection' },
+      actor: { href: 'urn:user:3', type: 'resource' },
+      repo: { href: 'urn:repo:4', type: 'resource' },
+      org: { href: 'urn:org:5', type: 'resource' },
+      assignee: { href: 'urn:user:2', type: 'resource' },
+      issue: { href: 'urn:repo:4:issue:1', type: 'resource' },
+      label: { href: 'urn:repo:4:label:8', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+
+    const expected = [
+      { type: 'user', url: 'http://user/3', path: '/actor' },
+      { type: 'repo', url: 'http://repo/4', path: '/repo' },
+      { type: 'org', url: 'http://org/5', path: '/org' },
+      { type: 'user', url: 'http://user/2', path: '/assignee' },
+      { type: 'issue', url: 'http://issue/1', qualifier: 'urn:repo:4', path: '/issue' },
+      { type: 'label', url: 'http://label/8', qualifier: 'urn:repo:4', path: '/label' }
+    ];
+    expectQueued(queue, expected);
+  });
+});
+
+describe('Branch processing', () => {
+  it('should link and queue protected branch', () => {
+    const request = createRequest('branch', 'http://repo/12/branches/master', { qualifier: 'urn:repo:12' });
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = {
+      _metadata: { links: {} },
+      name: 'master',
+      commit: { sha: 'a1b2', url: 'http://repo/12/commits/a1b2' },
+      protected: true,
+      protection_url: 'http://repo/12/branches/master/protection'
+    };
+    const processor = new GitHubProcessor();
+    const document = processor.branch(request);
+
+    const links = {
+      self: { href: 'urn:repo:12:branch:master', type: 'resource' },
+      siblings: { href: 'urn:repo:12:branches', type: 'collection' },
+      repo: { href: 'urn:repo:12', type: 'resource' },
+      commit: { href: 'urn:repo:12:commit:a1b2', type: 'resource' },
+      branch_protection: { href: 'urn:repo:12:branch:master:branch_protection', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+
+    const expected = [
+      { type: 'branch_protection', url: 'http://repo/12/branches/master/protection', qualifier: 'urn:repo:12:branch:master', path: '/branch_protection' }
+    ];
+    expectQueued(queue, expected);
+  });
+
+  it('should not queue protection of unprotected branch', () => {
+    const request = createRequest('branch', 'http://repo/12/branches/dev', { qualifier: 'urn:repo:12' });
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = {
+      _metadata: { links: {} },
+      name: 'dev',
+      commit: { sha: 'a1b2', url: 'http://repo/12/commits/a1b2' },
+      protected: false,
+      protection_url: 'http://repo/12/branches/dev/protection'
+    };
+    const processor = new GitHubProcessor();
+    const document = processor.branch(request);
+
+    expect(document._metadata.links.branch_protection).to.be.undefined;
+    expectQueued(queue, []);
+  });
+
+  it('should link branch protection', () => {
+    const request = createRequest('branch_protection', 'http://repo/12/branches/master/protection', { qualifier: 'urn:repo:12:branch:master' });
+    request.document = { _metadata: { links: {} }, enforce_admins: { enabled: true } };
+    const processor = new GitHubProcessor();
+    const document = processor.branch_protection(request);
+
+    const links = {
+      self: { href: 'urn:repo:12:branch:master:branch_protection', type: 'resource' },
+      branch: { href: 'urn:repo:12:branch:master', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+  });
+
+  it('should queue branch page elements by name', () => {
+    const request = createRequest('branches', 'http://repo/12/branches?page=2&per_page=100', { qualifier: 'urn:repo:12', elementType: 'branch' });
+    request.policy = TraversalPolicy.getPolicy('default:repo@/branches');
+    request.policy.freshness = 'always';
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = { _metadata: { links: {} }, elements: [{ name: 'master', commit: { sha: 'a1b2' }, protected: true }] };
+    const processor = new GitHubProcessor();
+    processor.process(request);
+
+    const expected = [
+      { type: 'branch', url: 'http://repo/12/branches/master', qualifier: 'urn:repo:12', path: '/branches' }
+    ];
+    expectQueued(queue, expected);
+  });
+
+  it('should link and queue branch CreateEvent', () => {
+    const request = createRequest('CreateEvent', 'http://foo');
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = createEvent('CreateEvent', { ref: 'dev', ref_type: 'branch' });
+
+    const processor = new GitHubProcessor();
+    const document = processor.CreateEvent(request);
+
+    const links = {
+      self: { href: 'urn:repo:4:CreateEvent:12345', type: 'resource' },
+      siblings: { href: 'urn:repo:4:CreateEvents', type: 'collection' },
+      actor: { href: 'urn:user:3', type: 'resource' },
+      repo: { href: 'urn:repo:4', type: 'resource' },
+      org: { href: 'urn:org:5', type: 'resource' },
+      repository: { href: 'urn:repo:4', type: 'resource' },
+      branch: { href: 'urn:repo:4:branch:dev', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+
+    const expected = [
+      { type: 'user', url: 'http://user/3', path: '/actor' },
+      { type: 'repo', url: 'http://repo/4', path: '/repo' },
+      { type: 'org', url: 'http://org/5', path: '/org' },
+      { type: 'branch', url: 'http://repo/4/branches/dev', qualifier: 'urn:repo:4', path: '/branch' }
+    ];
+    expectQueued(queue, expected);
+  });
+
+  it('should link and queue branch DeleteEvent', () => {
+    const request = createRequest('DeleteEvent', 'http://foo');
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = createEvent('DeleteEvent', { ref: 'dev', ref_type: 'branch' });
+
+    const processor = new GitHubProcessor();
+    const document = processor.DeleteEvent(request);
+
+    const links = {
+      self: { href: 'urn:repo:4:DeleteEvent:12345', type: 'resource' },
+      siblings: { href: 'urn:repo:4:DeleteEvents', type: 'collection' },
+      actor: { href: 'urn:user:3', type: 'resource' },
+      repo: { href: 'urn:repo:4', type: 'resource' },
+      org: { href: 'urn:org:5', type: 'resource' },
+      branch: { href: 'urn:repo:4:branch:dev', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+
+    const expected = [
+      { type: 'user', url: 'http://user/3', path: '/actor' },
+      { type: 'repo', url: 'http://repo/4', path: '/repo' },
+      { type: 'org', url: 'http://org/5', path: '/org' },
+      { type: 'branch', url: 'http://repo/4/branches/dev', qualifier: 'urn:repo:4', path: '/', deletedAt: 'date and time' }
+    ];
+    expectQueued(queue, expected);
+  });
+});
+
+describe('Label processing', () => {
+  it('should link and queue correctly', () => {
+    const request = createRequest('label', 'http://repo/labels/bug');
+    request.context = { qualifier: 'urn:repo:12' };
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = {
+      _metadata: { links: {} },
+      id: 88,
+      name: 'bug'
+    };
+    const processor = new GitHubProcessor();
+    const document = processor.label(request);
+
+    const links = {
+      self: { href: 'urn:repo:12:label:88', type: 'resource' },
+      siblings: { href: 'urn:repo:12:labels', type: 'collection' },
+      repo: { href: 'urn:repo:12', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+    expectQueued(queue, []);
+  });
+
+  it('should link and queue LabelEvent', () => {
+    const request = createRequest('LabelEvent', 'http://foo/label');
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    const payload = {
+      action: 'edited',
+      label: { id: 88, url: 'http://label/88' }
+    }
+    request.document = createEvent('LabelEvent', payload);
+
+    const processor = new GitHubProcessor();
+    const document = processor.LabelEvent(request);
+
+    const links = {
+      self: { href: 'urn:repo:4:LabelEvent:12345', type: 'resource' },
+      siblings: { href: 'urn:repo:4:LabelEvents', type: 'collection' },
+      actor: { href: 'urn:user:3', type: 'resource' },
+      repo: { href: 'urn:repo:4', type: 'resource' },
+      org: { href: 'urn:org:5', type: 'resource' },
+      label: { href: 'urn:repo:4:label:88', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+
+    const expected = [
+      { type: 'user', url: 'http://user/3', path: '/actor' },
+      { type: 'repo', url: 'http://repo/4', path: '/repo' },
+      { type: 'org', url: 'http://org/5', path: '/org' },
+      { type: 'label', url: 'http://label/88', qualifier: 'urn:repo:4', path: '/label' }
+    ];
+    expectQueued(queue, expected);
+  });
+
+  it('should link and queue deletion of LabelEvent', () => {
+    const request = createRequest('LabelEvent', 'http://foo/label');
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    const payload = {
+      action: 'deleted',
+      label: { id: 88, url: 'http://label/88' }
+    }
+    request.document = createEvent('LabelEvent', payload);
 
-    // test that the new request got queued and that the doc has the right stuff
+    const processor = new GitHubProcessor();
+    processor.LabelEvent(request);
 
-    const newRequest = queue.pop();
-    newRequest.document = { id: 1, url: 'http://pull_request/1' }
-    testPullRequestReviewCommentEvent(newRequest, 'LegacyPullRequestReviewCommentEvent', false);
+    const expected = [
+      { type: 'user', url: 'http://user/3', path: '/actor' },
+      { type: 'repo', url: 'http://repo/4', path: '/repo' },
+      { type: 'org', url: 'http://org/5', path: '/org' },
+      { type: 'label', url: 'http://label/88', qualifier: 'urn:repo:4', path: '/', deletedAt: 'date and time' }
+    ];
+    expectQueued(queue, expected);
   });
 });
 
-describe('Issue processing', () => {
+describe('Milestone processing', () => {
   it('should link and queue correctly', () => {
-    const request = createRequest('issue', 'http://repo/issue');
+    const request = createRequest('milestone', 'http://repo/milestones/1');
     request.context = { qualifier: 'urn:repo:12' };
     const queue = [];
     request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
     request.document = {
       _metadata: { links: {} },
-      id: 27,
-      comments: 1,
-      assignee: { id: 1, url: 'http://user/1' },
-      assignees: [{ id: 50 }, { id: 51 }],
-      milestone: { id: 26 },
-      labels: [{ id: 88 }, { id: 99 }],
-      repo: { id: 45, url: 'http://repo/45' },
-      comments_url: 'http://issue/27/comments',
-      pull_request: { url: 'http://pull_request/27' },
-      user: { id: 7, url: 'http://user/7' },
-      closed_by: { id: 15, url: 'http://user/15' }
+      id: 26,
+      number: 1,
+      creator: { id: 7, url: 'http://user/7' }
     };
     const processor = new GitHubProcessor();
-    const document = processor.issue(request);
+    const document = processor.milestone(request);
 
     const links = {
-      self: { href: 'urn:repo:12:issue:27', type: 'resource' },
-      siblings: { href: 'urn:repo:12:issues', type: 'collection' },
-      user: { href: 'urn:user:7', type: 'resource' },
-      labels: { hrefs: ['urn:repo:12:label:88', 'urn:repo:12:label:99'], type: 'resource' },
-      closed_by: { href: 'urn:user:15', type: 'resource' },
-      assignee: { href: 'urn:user:1', type: 'resource' },
+      self: { href: 'urn:repo:12:milestone:26', type: 'resource' },
+      siblings: { href: 'urn:repo:12:milestones', type: 'collection' },
       repo: { href: 'urn:repo:12', type: 'resource' },
-      assignees: { hrefs: ['urn:user:50', 'urn:user:51'], type: 'resource' },
-      issue_comments: { href: 'urn:repo:12:issue:27:issue_comments', type: 'collection' },
-      pull_request: { href: 'urn:repo:12:pull_request:27', type: 'resource' },
+      creator: { href: 'urn:user:7', type: 'resource' }
     }
     expectLinks(document._metadata.links, links);
 
     const expected = [
-      { type: 'user', url: 'http://user/7', path: '/user' },
-      { type: 'user', url: 'http://user/15', path: '/closed_by' },
-      { type: 'user', url: 'http://user/1', path: '/assignee' },
-      { type: 'repo', url: 'http://repo/45', path: '/repo' },
-      { type: 'issue_comments', url: 'http://issue/27/comments', qualifier: 'urn:repo:12:issue:27', path: '/issue_comments' },
-      { type: 'pull_request', url: 'http://pull_request/27', qualifier: 'urn:repo:12', path: '/pull_request' }
+      { type: 'user', url: 'http://user/7', path: '/creator' }
     ];
     expectQueued(queue, expected);
   });
 
-  it('should link and queue IssuesEvent', () => {
-    const request = createRequest('IssuesEvent', 'http://foo/pull');
+  it('should link and queue MilestoneEvent', () => {
+    const request = createRequest('MilestoneEvent', 'http://foo/milestone');
     const queue = [];
     request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
     const payload = {
-      assignee: { id: 2, url: 'http://user/2' },
-      issue: { id: 1, url: 'http://issue/1' },
-      label: { id: 8, url: 'http://label/8' }
+      action: 'closed',
+      milestone: { id: 26, url: 'http://milestone/26' }
     }
-    request.document = createEvent('IssuesEvent', payload);
+    request.document = createEvent('MilestoneEvent', payload);
 
     const processor = new GitHubProcessor();
-    const document = processor.IssuesEvent(request);
+    const document = processor.MilestoneEvent(request);
 
     const links = {
-      self: { href: 'urn:repo:4:IssuesEvent:12345', type: 'resource' },
-      siblings: { href: 'urn:repo:4:IssuesEvents', type: 'collection' },
+      self: { href: 'urn:repo:4:MilestoneEvent:12345', type: 'resource' },
+      siblings: { href: 'urn:repo:4:MilestoneEvents', type: 'collection' },
       actor: { href: 'urn:user:3', type: 'resource' },
       repo: { href: 'urn:repo:4', type: 'resource' },
       org: { href: 'urn:org:5', type: 'resource' },
-      assignee: { href: 'urn:user:2', type: 'resource' },
-      issue: { href: 'urn:repo:4:issue:1', type: 'resource' },
-      label: { href: 'urn:repo:4:label:8', type: 'resource' }
+      milestone: { href: 'urn:repo:4:milestone:26', type: 'resource' }
     }
     expectLinks(document._metadata.links, links);
 
@@ -932,9 +2430,29 @@ describe('Issue processing', () => {
       { type: 'user', url: 'http://user/3', path: '/actor' },
       { type: 'repo', url: 'http://repo/4', path: '/repo' },
       { type: 'org', url: 'http://org/5', path: '/org' },
-      { type: 'user', url: 'http://user/2', path: '/assignee' },
-      { type: 'issue', url: 'http://issue/1', qualifier: 'urn:repo:4', path: '/issue' },
-      { type: 'label', url: 'http://label/8', qualifier: 'urn:repo:4', path: '/label' }
+      { type: 'milestone', url: 'http://milestone/26', qualifier: 'urn:repo:4', path: '/milestone' }
+    ];
+    expectQueued(queue, expected);
+  });
+
+  it('should link and queue deletion of MilestoneEvent', () => {
+    const request = createRequest('MilestoneEvent', 'http://foo/milestone');
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    const payload = {
+      action: 'deleted',
+      milestone: { id: 26, url: 'http://milestone/26' }
+    }
+    request.document = createEvent('MilestoneEvent', payload);
+
+    const processor = new GitHubProcessor();
+    processor.MilestoneEvent(request);
+
+    const expected = [
+      { type: 'user', url: 'http://user/3', path: '/actor' },
+      { type: 'repo', url: 'http://repo/4', path: '/repo' },
+      { type: 'org', url: 'http://org/5', path: '/org' },
+      { type: 'milestone', url: 'http://milestone/26', qualifier: 'urn:repo:4', path: '/', deletedAt: 'date and time' }
     ];
     expectQueued(queue, expected);
   });
@@ -959,6 +2477,7 @@ describe('Issue comment processing', () => {
       siblings: { href: 'urn:repo:12:issue:27:issue_comments', type: 'collection' },
       issue: { href: 'urn:repo:12:issue:27', type: 'resource' },
       user: { href: 'urn:user:7', type: 'resource' },
+      reactions: { href: 'urn:repo:12:issue:27:issue_comment:37:reactions', type: 'collection' },
     }
     expectLinks(document._metadata.links, links);
 
@@ -986,6 +2505,7 @@ describe('Issue comment processing', () => {
       siblings: { href: 'urn:repo:12:issue:27:issue_comments', type: 'collection' },
       issue: { href: 'urn:repo:12:issue:27', type: 'resource' },
       user: { href: 'urn:user:7', type: 'resource' },
+      reactions: { href: 'urn:repo:12:issue:27:issue_comment:37:reactions', type: 'collection' },
     }
     expectLinks(document._metadata.links, links);
 
@@ -1202,12 +2722,84 @@ describe('Membership processing', () => {
 });
 
 describe('Status processing', () => {
+  it('should link and queue correctly', () => {
+    const request = createRequest('status', 'http://repo/4/statuses/a1b2/9');
+    request.context = { qualifier: 'urn:repo:4:commit:a1b2' };
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = {
+      _metadata: { links: {} },
+      id: 9,
+      state: 'success',
+      creator: { id: 7, url: 'http://user/7' }
+    };
+    const processor = new GitHubProcessor();
+    const document = processor.status(request);
+
+    const links = {
+      self: { href: 'urn:repo:4:commit:a1b2:status:9', type: 'resource' },
+      siblings: { href: 'urn:repo:4:commit:a1b2:statuses', type: 'collection' },
+      commit: { href: 'urn:repo:4:commit:a1b2', type: 'resource' },
+      creator: { href: 'urn:user:7', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+
+    const expected = [
+      { type: 'user', url: 'http://user/7', path: '/creator' }
+    ];
+    expectQueued(queue, expected);
+  });
+
+  it('should link combined status correctly', () => {
+    const request = createRequest('combined_status', 'http://repo/4/commits/a1b2/status');
+    request.context = { qualifier: 'urn:repo:4:commit:a1b2' };
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = {
+      _metadata: { links: {} },
+      state: 'success',
+      sha: 'a1b2',
+      statuses: [{ id: 9 }, { id: 10 }]
+    };
+    const processor = new GitHubProcessor();
+    const document = processor.combined_status(request);
+
+    const links = {
+      self: { href: 'urn:repo:4:commit:a1b2:combined_status', type: 'resource' },
+      commit: { href: 'urn:repo:4:commit:a1b2', type: 'resource' },
+      statuses: { href: 'urn:repo:4:commit:a1b2:statuses', type: 'collection' },
+      latest_statuses: { hrefs: ['urn:repo:4:commit:a1b2:status:9', 'urn:repo:4:commit:a1b2:status:10'], type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+    expectQueued(queue, []);
+  });
+
+  it('should queue status page elements with their payload', () => {
+    const request = createRequest('statuses', 'http://repo/4/statuses/a1b2', { qualifier: 'urn:repo:4:commit:a1b2', elementType: 'status' });
+    request.policy = TraversalPolicy.getPolicy('default:pull_request@/statuses');
+    request.policy.freshness = 'always';
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = { _metadata: { links: {} }, elements: [{ id: 9, url: 'http://repo/4/statuses/a1b2', state: 'success' }] };
+    const processor = new GitHubProcessor();
+    processor.process(request);
+
+    expect(queue.length).to.be.equal(1);
+    expect(queue[0].type).to.be.equal('status');
+    expect(queue[0].url).to.be.equal('http://repo/4/statuses/a1b2/9');
+    expect(queue[0].context.qualifier).to.be.equal('urn:repo:4:commit:a1b2');
+    expect(queue[0].payload.body).to.be.deep.equal(request.document.elements[0]);
+  });
+
   it('should link and queue StatusEvent', () => {
     const request = createRequest('StatusEvent', 'http://foo/');
     const queue = [];
     request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
     const payload = {
-      sha: 'a1b2'
+      id: 9,
+      sha: 'a1b2',
+      state: 'success',
+      context: 'ci/build'
     }
     request.document = createEvent('StatusEvent', payload);
 
@@ -1220,17 +2812,242 @@ describe('Status processing', () => {
       actor: { href: 'urn:user:3', type: 'resource' },
       repo: { href: 'urn:repo:4', type: 'resource' },
       org: { href: 'urn:org:5', type: 'resource' },
-      commit: { href: 'urn:repo:4:commit:a1b2', type: 'resource' }
+      commit: { href: 'urn:repo:4:commit:a1b2', type: 'resource' },
+      status: { href: 'urn:repo:4:commit:a1b2:status:9', type: 'resource' },
+      combined_status: { href: 'urn:repo:4:commit:a1b2:combined_status', type: 'resource' }
     }
     expectLinks(document._metadata.links, links);
 
     const expected = [
       { type: 'user', url: 'http://user/3', path: '/actor' },
       { type: 'repo', url: 'http://repo/4', path: '/repo' },
-      { type: 'org', url: 'http://org/5', path: '/org' }
+      { type: 'org', url: 'http://org/5', path: '/org' },
+      { type: 'status', url: 'http://repo/4/statuses/a1b2/9', qualifier: 'urn:repo:4:commit:a1b2', path: '/status' },
+      { type: 'combined_status', url: 'http://repo/4/commits/a1b2/status', qualifier: 'urn:repo:4:commit:a1b2', path: '/combined_status' }
+    ];
+    expectQueued(queue, expected);
+    const status = queue.find(queued => queued.type === 'status');
+    expect(status.payload.body.state).to.be.equal('success');
+    expect(status.payload.body.context).to.be.equal('ci/build');
+  });
+});
+
+describe('Check processing', () => {
+  it('should link check suite correctly', () => {
+    const request = createRequest('check_suite', 'http://repo/4/check-suites/21');
+    request.context = { qualifier: 'urn:repo:4:commit:a1b2' };
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = {
+      _metadata: { links: {} },
+      id: 21,
+      head_sha: 'a1b2',
+      status: 'completed',
+      conclusion: 'success'
+    };
+    const processor = new GitHubProcessor();
+    const document = processor.check_suite(request);
+
+    const links = {
+      self: { href: 'urn:repo:4:commit:a1b2:check_suite:21', type: 'resource' },
+      siblings: { href: 'urn:repo:4:commit:a1b2:check_suites', type: 'collection' },
+      commit: { href: 'urn:repo:4:commit:a1b2', type: 'resource' },
+      check_runs: { href: 'urn:repo:4:commit:a1b2:check_runs', type: 'collection' }
+    }
+    expectLinks(document._metadata.links, links);
+    expectQueued(queue, []);
+  });
+
+  it('should link check run correctly', () => {
+    const request = createRequest('check_run', 'http://repo/4/check-runs/33');
+    request.context = { qualifier: 'urn:repo:4:commit:a1b2' };
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = {
+      _metadata: { links: {} },
+      id: 33,
+      head_sha: 'a1b2',
+      name: 'build',
+      check_suite: { id: 21 }
+    };
+    const processor = new GitHubProcessor();
+    const document = processor.check_run(request);
+
+    const links = {
+      self: { href: 'urn:repo:4:commit:a1b2:check_run:33', type: 'resource' },
+      siblings: { href: 'urn:repo:4:commit:a1b2:check_runs', type: 'collection' },
+      commit: { href: 'urn:repo:4:commit:a1b2', type: 'resource' },
+      check_suite: { href: 'urn:repo:4:commit:a1b2:check_suite:21', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+    expectQueued(queue, []);
+  });
+
+  it('should link and queue CheckRunEvent', () => {
+    const request = createRequest('CheckRunEvent', 'http://foo/');
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    const payload = {
+      action: 'completed',
+      check_run: { id: 33, head_sha: 'a1b2', url: 'http://repo/4/check-runs/33' }
+    }
+    request.document = createEvent('CheckRunEvent', payload);
+
+    const processor = new GitHubProcessor();
+    const document = processor.CheckRunEvent(request);
+
+    const links = {
+      self: { href: 'urn:repo:4:CheckRunEvent:12345', type: 'resource' },
+      siblings: { href: 'urn:repo:4:CheckRunEvents', type: 'collection' },
+      actor: { href: 'urn:user:3', type: 'resource' },
+      repo: { href: 'urn:repo:4', type: 'resource' },
+      org: { href: 'urn:org:5', type: 'resource' },
+      commit: { href: 'urn:repo:4:commit:a1b2', type: 'resource' },
+      check_run: { href: 'urn:repo:4:commit:a1b2:check_run:33', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+
+    const expected = [
+      { type: 'user', url: 'http://user/3', path: '/actor' },
+      { type: 'repo', url: 'http://repo/4', path: '/repo' },
+      { type: 'org', url: 'http://org/5', path: '/org' },
+      { type: 'check_run', url: 'http://repo/4/check-runs/33', qualifier: 'urn:repo:4:commit:a1b2', path: '/check_run' }
+    ];
+    expectQueued(queue, expected);
+  });
+
+  it('should link and queue CheckSuiteEvent', () => {
+    const request = createRequest('CheckSuiteEvent', 'http://foo/');
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    const payload = {
+      action: 'completed',
+      check_suite: { id: 21, head_sha: 'a1b2', url: 'http://repo/4/check-suites/21' }
+    }
+    request.document = createEvent('CheckSuiteEvent', payload);
+
+    const processor = new GitHubProcessor();
+    const document = processor.CheckSuiteEvent(request);
+
+    const links = {
+      self: { href: 'urn:repo:4:CheckSuiteEvent:12345', type: 'resource' },
+      siblings: { href: 'urn:repo:4:CheckSuiteEvents', type: 'collection' },
+      actor: { href: 'urn:user:3', type: 'resource' },
+      repo: { href: 'urn:repo:4', type: 'resource' },
+      org: { href: 'urn:org:5', type: 'resource' },
+      commit: { href: 'urn:repo:4:commit:a1b2', type: 'resource' },
+      check_suite: { href: 'urn:repo:4:commit:a1b2:check_suite:21', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+
+    const expected = [
+      { type: 'user', url: 'http://user/3', path: '/actor' },
+      { type: 'repo', url: 'http://repo/4', path: '/repo' },
+      { type: 'org', url: 'http://org/5', path: '/org' },
+      { type: 'check_suite', url: 'http://repo/4/check-suites/21', qualifier: 'urn:repo:4:commit:a1b2', path: '/check_suite' }
+    ];
+    expectQueued(queue, expected);
+  });
+});
+
+describe('Reaction processing', () => {
+  it('should not queue reactions in the default scenario', () => {
+    const request = createReactableIssueRequest('default:issue');
+    const queue = request.crawler.queued;
+    const processor = new GitHubProcessor();
+    const document = processor.issue(request);
+
+    expect(document._metadata.links.reactions).to.be.deep.equal({ href: 'urn:repo:12:issue:27:reactions', type: 'collection' });
+    expect(queue.some(queued => queued.type === 'reactions')).to.be.false;
+  });
+
+  it('should queue reactions in the reactions scenario', () => {
+    const request = createReactableIssueRequest('default:reactions/issue');
+    const queue = request.crawler.queued;
+    const processor = new GitHubProcessor();
+    const document = processor.issue(request);
+
+    expect(document._metadata.links.reactions).to.be.deep.equal({ href: 'urn:repo:12:issue:27:reactions', type: 'collection' });
+    const reactions = queue.filter(queued => queued.type === 'reactions');
+    expect(reactions.length).to.be.equal(1);
+    expect(reactions[0].url).to.be.equal('http://repo/12/issues/27/reactions');
+    expect(reactions[0].context.qualifier).to.be.equal('urn:repo:12:issue:27');
+    expect(reactions[0].context.elementType).to.be.equal('reaction');
+    expect(reactions[0].policy.map.path).to.be.equal('/reactions');
+  });
+
+  it('should not queue reactions if the summary says there are none', () => {
+    const request = createReactableIssueRequest('default:reactions/issue');
+    request.document.reactions = { total_count: 0 };
+    const queue = request.crawler.queued;
+    const processor = new GitHubProcessor();
+    processor.issue(request);
+
+    expect(queue.some(queued => queued.type === 'reactions')).to.be.false;
+  });
+
+  it('should queue reaction page elements with their payload', () => {
+    const request = createRequest('reactions', 'http://repo/12/issues/27/reactions', { qualifier: 'urn:repo:12:issue:27', elementType: 'reaction' });
+    request.policy = TraversalPolicy.getPolicy('default:reactions/issue@/reactions');
+    request.policy.freshness = 'always';
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = { _metadata: { links: {} }, elements: [{ id: 5, content: '+1', user: { id: 7, url: 'http://user/7' } }] };
+    const processor = new GitHubProcessor();
+    processor.process(request);
+
+    expect(queue.length).to.be.equal(1);
+    expect(queue[0].type).to.be.equal('reaction');
+    expect(queue[0].url).to.be.equal('http://repo/12/issues/27/reactions/5');
+    expect(queue[0].context.qualifier).to.be.equal('urn:repo:12:issue:27');
+    expect(queue[0].payload.body).to.be.deep.equal(request.document.elements[0]);
+  });
+
+  it('should link and queue correctly', () => {
+    const request = createRequest('reaction', 'http://repo/12/issues/27/reactions/5');
+    request.context = { qualifier: 'urn:repo:12:issue:27' };
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.document = {
+      _metadata: { links: {} },
+      id: 5,
+      content: '+1',
+      user: { id: 7, url: 'http://user/7' }
+    };
+    const processor = new GitHubProcessor();
+    const document = processor.reaction(request);
+
+    const links = {
+      self: { href: 'urn:repo:12:issue:27:reaction:5', type: 'resource' },
+      siblings: { href: 'urn:repo:12:issue:27:reactions', type: 'collection' },
+      issue: { href: 'urn:repo:12:issue:27', type: 'resource' },
+      user: { href: 'urn:user:7', type: 'resource' }
+    }
+    expectLinks(document._metadata.links, links);
+
+    const expected = [
+      { type: 'user', url: 'http://user/7', path: '/user' }
     ];
     expectQueued(queue, expected);
   });
+
+  function createReactableIssueRequest(policySpec) {
+    const request = createRequest('issue', 'http://repo/12/issues/27');
+    request.policy = TraversalPolicy.getPolicy(policySpec);
+    request.context = { qualifier: 'urn:repo:12' };
+    request.processMode = 'process';
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }), queued: queue };
+    request.document = {
+      _metadata: { links: {} },
+      id: 27,
+      url: 'http://repo/12/issues/27',
+      assignees: [],
+      repository_url: 'http://repo/12',
+      user: { id: 7, url: 'http://user/7' }
+    };
+    return request;
+  }
 });
 
 describe('Team processing', () => {
@@ -1537,6 +3354,21 @@ describe('Event Trigger', () => {
     expectQueued(queue, expected);
     expect(queue[0].payload).to.be.deep.equal(request.payload);
   });
+
+  it('should queue explicit check events', () => {
+    const request = createRequest('event_trigger', 'http://foo/events/4321');
+    const queue = [];
+    request.crawler = { queue: sinon.spy(request => { queue.push.apply(queue, request) }) };
+    request.payload = { type:'check_run', body: { action: 'completed' } };
+
+    const processor = new GitHubProcessor();
+    processor.event_trigger(request);
+
+    const expected = [
+      { type: 'CheckRunEvent', url: request.url, path: '/' }
+    ];
+    expectQueued(queue, expected);
+  });
 });
 
 // =========================== HELPERS =========================
@@ -67,8 +67,8 @@ describe('GitHub fetcher', () => {
       expect(request.document).to.be.undefined;
       expect(request.shouldRequeue()).to.be.true;
       expect(request.meta.secondaryDelay > Date.now()).to.be.true;
-      expect(fetcher.tokenFactory.exhaust.callCount).to.be.equal(1);
-      expect(fetcher.tokenFactory.exhaust.getCall(0).args[1]).to.be.approximately(Date.now() + 60000, 20);
+      expect(fetcher.tokenFactory.throttle.callCount).to.be.equal(1);
+      expect(fetcher.tokenFactory.throttle.getCall(0).args[1]).to.be.approximately(Date.now() + 60000, 20);
     });
   });
 
@@ -230,6 +230,207 @@ describe('GitHub fetcher', () => {
       error => expect(error.message).to.be.equal('test')
       );
   });
+
+  it('should ask for tokens scoped to the org of the request', () => {
+    const request = createRequest('repo', 'https://api.github.com/repos/Contoso/test');
+    const requestor = createBaseRequestor({ get: () => { return Q(createResponse('test')); } });
+    const store = createBaseStore({ etag: () => { return Q(null); } });
+    const tokenFactory = createBaseTokenFactory();
+    tokenFactory.getToken = sinon.spy(() => { return Q('token'); });
+    const fetcher = createBaseFetcher({ requestor: requestor, store: store, tokenFactory: tokenFactory });
+    return fetcher.fetch(request).then(request => {
+      expect(tokenFactory.getToken.getCall(0).args[1]).to.be.equal('contoso');
+    });
+  });
+
+  it('should fetch incremental collections since their last crawl', () => {
+    const request = createRequest('issues', 'http://test.com/issues?state=all');
+    request.policy = TraversalPolicy.incremental('repo@issues');
+    let getArgs = null;
+    const requestor = createBaseRequestor({
+      get: (url, options) => { getArgs = { url: url, options: options }; return Q(createResponse(['test'])); }
+    });
+    const store = createBaseStore({ get: () => { return Q({ _metadata: { crawledAt: '2017-01-01T00:00:00.000Z' } }); } });
+    const fetcher = createBaseFetcher({ requestor: requestor, store: store });
+    return fetcher.fetch(request).then(request => {
+      expect(request.document).to.be.deep.equal(['test']);
+      expect(request.context.lastCrawledAt).to.be.equal('2017-01-01T00:00:00.000Z');
+      const query = URL.parse(getArgs.url, true).query;
+      expect(query.state).to.be.equal('all');
+      expect(query.since).to.be.equal('2017-01-01T00:00:00.000Z');
+      expect(getArgs.options.headers['If-None-Match']).to.be.undefined;
+    });
+  });
+
+  it('should fetch all of an incremental collection never crawled before', () => {
+    const request = createRequest('issues', 'http://test.com/issues?state=all');
+    request.policy = TraversalPolicy.incremental('repo@issues');
+    let getArgs = null;
+    const requestor = createBaseRequestor({
+      get: (url, options) => { getArgs = { url: url, options: options }; return Q(createResponse(['test'])); }
+    });
+    const store = createBaseStore({ get: () => { return Q(null); } });
+    const fetcher = createBaseFetcher({ requestor: requestor, store: store });
+    return fetcher.fetch(request).then(request => {
+      expect(request.context.lastCrawledAt).to.be.null;
+      expect(URL.parse(getArgs.url, true).query.since).to.be.undefined;
+    });
+  });
+
+  it('should use the carried crawl time for later incremental pages', () => {
+    const request = createRequest('issues', 'http://test.com/issues?state=all&page=2&per_page=100');
+    request.policy = TraversalPolicy.incremental('repo@issues');
+    request.context.lastCrawledAt = '2017-01-01T00:00:00.000Z';
+    let getArgs = null;
+    const requestor = createBaseRequestor({
+      get: (url, options) => { getArgs = { url: url, options: options }; return Q(createResponse(['test'])); }
+    });
+    const fetcher = createBaseFetcher({ requestor: requestor });
+    return fetcher.fetch(request).then(request => {
+      const query = URL.parse(getArgs.url, true).query;
+      expect(query.page).to.be.equal('2');
+      expect(query.since).to.be.equal('2017-01-01T00:00:00.000Z');
+    });
+  });
+
+  it('should pass the date window to collections that support it', () => {
+    const urls = [];
+    const requestor = createBaseRequestor({
+      get: (url, options) => { urls.push(url); return Q(createResponse(['test'])); }
+    });
+    const store = createBaseStore({ etag: () => { return Q(null); } });
+    const fetcher = createBaseFetcher({ requestor: requestor, store: store });
+    const window = { since: '2017-01-01T00:00:00.000Z', until: '2017-02-01T00:00:00.000Z' };
+    const commits = createRequest('commits', 'http://test.com/commits');
+    commits.context = extend({}, window);
+    const issues = createRequest('issues', 'http://test.com/issues?state=all');
+    issues.context = extend({ lastCrawledAt: '2017-01-15T00:00:00.000Z' }, window);
+    const labels = createRequest('labels', 'http://test.com/labels');
+    labels.context = extend({ lastCrawledAt: '2017-01-15T00:00:00.000Z' }, window);
+    return fetcher.fetch(commits).then(() => fetcher.fetch(issues)).then(() => fetcher.fetch(labels)).then(() => {
+      const [commitsQuery, issuesQuery, labelsQuery] = urls.map(url => URL.parse(url, true).query);
+      expect(commitsQuery.since).to.be.equal('2017-01-01T00:00:00.000Z');
+      expect(commitsQuery.until).to.be.equal('2017-02-01T00:00:00.000Z');
+      expect(issuesQuery.since).to.be.equal('2017-01-15T00:00:00.000Z');
+      expect(issuesQuery.until).to.be.undefined;
+      expect(labelsQuery.since).to.be.undefined;
+    });
+  });
+
+  it('should sort collections by update time for policies that skip unchanged collections', () => {
+    const urls = [];
+    const requestor = createBaseRequestor({
+      get: (url, options) => { urls.push(url); return Q(createResponse(['test'])); }
+    });
+    const store = createBaseStore({ etag: () => { return Q(null); } });
+    const fetcher = createBaseFetcher({ requestor: requestor, store: store });
+    const skipping = createRequest('issues', 'http://test.com/issues?state=all');
+    skipping.policy = TraversalPolicy.getPolicy('refresh:skipUnchanged:repo@issues');
+    const walking = createRequest('issues', 'http://test.com/issues?state=all');
+    walking.policy = TraversalPolicy.getPolicy('refresh:repo@issues');
+    const labels = createRequest('labels', 'http://test.com/labels');
+    labels.policy = TraversalPolicy.getPolicy('refresh:skipUnchanged:repo@labels');
+    return fetcher.fetch(skipping).then(() => fetcher.fetch(walking)).then(() => fetcher.fetch(labels)).then(() => {
+      const [skippingQuery, walkingQuery, labelsQuery] = urls.map(url => URL.parse(url, true).query);
+      expect(skippingQuery.sort).to.be.equal('updated');
+      expect(skippingQuery.direction).to.be.equal('desc');
+      expect(skippingQuery.state).to.be.equal('all');
+      expect(walkingQuery.sort).to.be.undefined;
+      expect(labelsQuery.sort).to.be.undefined;
+    });
+  });
+
+  it('should not go to origin for documents that are fresh enough', () => {
+    const request = createRequest('repo', 'http://test');
+    request.policy = TraversalPolicy.getPolicy('refresh:7:repo');
+    const processedAt = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    const store = createBaseStore({ get: () => { return Q({ id: 13, _metadata: { etag: 42, processedAt: processedAt } }); } });
+    const fetcher = createBaseFetcher({ store: store });
+    return fetcher.fetch(request).then(request => {
+      expect(request.document.id).to.be.equal(13);
+      expect(request.contentOrigin).to.be.equal('storage');
+      expect(request.policy.shouldProcess(request)).to.be.false;
+    });
+  });
+
+  it('should refetch stale documents using their etag', () => {
+    const request = createRequest('repo', 'http://test');
+    request.policy = TraversalPolicy.getPolicy('refresh:7:repo');
+    const processedAt = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+    let getArgs = null;
+    const requestor = createBaseRequestor({
+      get: (url, options) => { getArgs = { url: url, options: options }; return Q(createResponse(null, 304, 42)); }
+    });
+    const store = createBaseStore({ get: sinon.spy(() => { return Q({ id: 13, _metadata: { etag: 42, processedAt: processedAt } }); }) });
+    const fetcher = createBaseFetcher({ requestor: requestor, store: store });
+    return fetcher.fetch(request).then(request => {
+      expect(getArgs.options.headers['If-None-Match']).to.be.equal(42);
+      expect(store.get.callCount).to.be.equal(1);
+      expect(request.document.id).to.be.equal(13);
+      expect(request.contentOrigin).to.be.equal('cacheOfOrigin');
+      expect(request.policy.shouldProcess(request)).to.be.true;
+    });
+  });
+
+  it('should record token outcomes', () => {
+    const request = createRequest('foo', 'http://test');
+    const requestor = createBaseRequestor({ get: () => { return Q(createResponse('test', 401, null, 10, 1000)); } });
+    const store = createBaseStore({ etag: () => { return Q(null); } });
+    const fetcher = createBaseFetcher({ requestor: requestor, store: store });
+    return fetcher.fetch(request).then(request => {
+      expect(request.shouldRequeue()).to.be.true;
+      expect(fetcher.tokenFactory.recordOutcome.callCount).to.be.equal(1);
+      expect(fetcher.tokenFactory.recordOutcome.getCall(0).args).to.be.deep.equal(['token', 401, 10, 1000000]);
+    });
+  });
+
+  it('should route configured types to the GraphQL fetcher', () => {
+    const request = createRequest('pull_request', 'http://test');
+    const store = createBaseStore({ etag: () => { return Q(null); } });
+    const graphQLFetcher = {
+      canFetch: type => type === 'pull_request',
+      isExhausted: () => false,
+      get: sinon.spy(() => { return Q(createResponse('test')); })
+    };
+    const options = createBaseOptions();
+    options.fetcher.typeFetchers = { pull_request: 'graphql' };
+    const fetcher = createBaseFetcher({ store: store, options: options, graphQLFetcher: graphQLFetcher });
+    return fetcher.fetch(request).then(request => {
+      expect(request.document).to.be.equal('test');
+      expect(graphQLFetcher.get.callCount).to.be.equal(1);
+      expect(graphQLFetcher.get.getCall(0).args[1]).to.be.equal('token');
+    });
+  });
+
+  it('should use REST when the token is out of GraphQL points', () => {
+    const request = createRequest('pull_request', 'http://test');
+    const requestor = createBaseRequestor({ get: () => { return Q(createResponse('rest')); } });
+    const store = createBaseStore({ etag: () => { return Q(null); } });
+    const graphQLFetcher = { canFetch: () => true, isExhausted: () => false, get: sinon.spy(() => Q(null)) };
+    const options = createBaseOptions();
+    options.fetcher.typeFetchers = { pull_request: 'graphql' };
+    const fetcher = createBaseFetcher({ requestor: requestor, store: store, options: options, graphQLFetcher: graphQLFetcher });
+    return fetcher.fetch(request).then(request => {
+      expect(graphQLFetcher.get.callCount).to.be.equal(1);
+      expect(request.document).to.be.equal('rest');
+      graphQLFetcher.isExhausted = () => true;
+      return fetcher.fetch(createRequest('pull_request', 'http://test'));
+    }).then(request => {
+      expect(graphQLFetcher.get.callCount).to.be.equal(1);
+      expect(request.document).to.be.equal('rest');
+    });
+  });
+
+  it('should use REST for types not routed to GraphQL', () => {
+    const request = createRequest('pull_request', 'http://test');
+    const requestor = createBaseRequestor({ get: () => { return Q(createResponse('test')); } });
+    const store = createBaseStore({ etag: () => { return Q(null); } });
+    const graphQLFetcher = { canFetch: () => true, get: () => assert.fail('should not use GraphQL') };
+    const fetcher = createBaseFetcher({ requestor: requestor, store: store, graphQLFetcher: graphQLFetcher });
+    return fetcher.fetch(request).then(request => {
+      expect(request.document).to.be.equal('test');
+    });
+  });
 });
 
 function createRequest(type, url) {
@@ -258,8 +459,8 @@ function createBaseStore({ etag = null, upsert = null, get = null } = {}) {
   return result;
 }
 
-function createBaseFetcher({ requestor = createBaseRequestor(), store = createBaseStore(), tokenFactory = createBaseTokenFactory(), limiter = createBaseLimiter(), options = createBaseOptions() } = {}) {
-  return new GitHubFetcher(requestor, store, tokenFactory, limiter, options.fetcher);
+function createBaseFetcher({ requestor = createBaseRequestor(), store = createBaseStore(), tokenFactory = createBaseTokenFactory(), limiter = createBaseLimiter(), options = createBaseOptions(), graphQLFetcher = null } = {}) {
+  return new GitHubFetcher(requestor, store, tokenFactory, limiter, options.fetcher, graphQLFetcher);
 }
 
 function createBaseRequestor({ get = null, getAll = null } = {}) {
@@ -274,7 +475,11 @@ function createBaseTokenFactory() {
     getToken: () => { return Q('token'); },
     exhaust: sinon.spy((token, until) => {
       return until;
-    })
+    }),
+    throttle: sinon.spy((token, until) => {
+      return until;
+    }),
+    recordOutcome: sinon.spy(() => false)
   };
 }
 
@@ -0,0 +1,201 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const expect = require('chai').expect;
+const GraphQLFetcher = require('../../providers/fetcher/graphQLFetcher');
+const Request = require('../../lib/request');
+
+describe('GraphQL fetcher', () => {
+
+  it('should translate a pull request into its REST shape', () => {
+    let args = null;
+    const fetcher = createFetcher((options, callback) => {
+      args = options;
+      callback(null, { statusCode: 200, elapsedTime: 20 }, createPullRequestBody());
+    });
+    const request = new Request('pull_request', 'https://api.github.com/repos/test/repo/pulls/7');
+    return fetcher.get(request, 'token').then(response => {
+      expect(args.method).to.be.equal('POST');
+      expect(args.url).to.be.equal('https://api.github.com/graphql');
+      expect(args.headers.authorization).to.be.equal('bearer token');
+      expect(args.json.variables).to.be.deep.equal({ owner: 'test', name: 'repo', number: 7 });
+
+      expect(response.statusCode).to.be.equal(200);
+      expect(response.elapsedTime).to.be.equal(20);
+      expect(response.headers['x-ratelimit-remaining']).to.be.undefined;
+      expect(response.headers.etag).to.be.equal('W/"graphql:2017-07-14T01:00:00Z"');
+
+      const document = response.body;
+      expect(document.id).to.be.equal(13);
+      expect(document.state).to.be.equal('open');
+      expect(document.user).to.be.deep.equal({ id: 7, login: 'monalisa', url: 'https://api.github.com/users/monalisa' });
+      expect(document.merged_by).to.be.null;
+      expect(document.assignee.id).to.be.equal(8);
+      expect(document.labels).to.be.deep.equal([{ name: 'bug', color: 'fc2929', description: null }]);
+      expect(document.base.repo).to.be.deep.equal({ id: 4, full_name: 'test/repo', url: 'https://api.github.com/repos/test/repo' });
+      expect(document.head.repo).to.be.null;
+      expect(document.comments).to.be.equal(2);
+      expect(document.commits).to.be.equal(3);
+      expect(document._links.self.href).to.be.equal('https://api.github.com/repos/test/repo/pulls/7');
+      expect(document._links.issue.href).to.be.equal('https://api.github.com/repos/test/repo/issues/7');
+      expect(document._links.statuses.href).to.be.equal('https://api.github.com/repos/test/repo/statuses/abc');
+    });
+  });
+
+  it('should embed reviews and commits that fit in the query', () => {
+    const fetcher = createFetcher((options, callback) => callback(null, { statusCode: 200 }, createPullRequestBody()));
+    const request = new Request('pull_request', 'https://api.github.com/repos/test/repo/pulls/7');
+    return fetcher.get(request, 'token').then(response => {
+      const embedded = response.body._embedded;
+      expect(embedded.reviews).to.be.deep.equal([{
+        id: 21,
+        user: { id: 8, login: 'hubot', url: 'https://api.github.com/users/hubot' },
+        body: 'looks good',
+        state: 'APPROVED',
+        commit_id: 'abc',
+        submitted_at: '2017-07-14T00:00:00Z',
+        pull_request_url: 'https://api.github.com/repos/test/repo/pulls/7',
+        _links: { pull_request: { href: 'https://api.github.com/repos/test/repo/pulls/7' } }
+      }]);
+      expect(embedded.pull_request_commits).to.be.undefined;
+    });
+  });
+
+  it('should translate embedded commits', () => {
+    const body = createPullRequestBody();
+    body.data.repository.pullRequest.commits = {
+      totalCount: 1,
+      nodes: [{
+        commit: {
+          oid: 'abc',
+          message: 'fix',
+          author: { name: 'Mona', email: 'mona@example.com', date: '2017-07-13T00:00:00Z', user: { __typename: 'User', login: 'monalisa', databaseId: 7 } },
+          committer: { name: 'GitHub', email: 'noreply@github.com', date: '2017-07-13T00:00:00Z', user: null },
+          comments: { totalCount: 0 },
+          parents: { nodes: [{ oid: 'def' }] }
+        }
+      }]
+    };
+    const fetcher = createFetcher((options, callback) => callback(null, { statusCode: 200 }, body));
+    const request = new Request('pull_request', 'https://api.github.com/repos/test/repo/pulls/7');
+    return fetcher.get(request, 'token').then(response => {
+      const commit = response.body._embedded.pull_request_commits[0];
+      expect(commit.sha).to.be.equal('abc');
+      expect(commit.url).to.be.equal('https://api.github.com/repos/test/repo/commits/abc');
+      expect(commit.commit.author).to.be.deep.equal({ name: 'Mona', email: 'mona@example.com', date: '2017-07-13T00:00:00Z' });
+      expect(commit.commit.comment_count).to.be.equal(0);
+      expect(commit.author.id).to.be.equal(7);
+      expect(commit.committer).to.be.null;
+      expect(commit.parents).to.be.deep.equal([{ sha: 'def', url: 'https://api.github.com/repos/test/repo/commits/def' }]);
+    });
+  });
+
+  it('should give bots their REST login and drop actors REST does not have', () => {
+    const body = createPullRequestBody();
+    body.data.repository.pullRequest.author = { __typename: 'Bot', login: 'dependabot', databaseId: 49699333 };
+    body.data.repository.pullRequest.mergedBy = { __typename: 'Mannequin', login: 'imported' };
+    const fetcher = createFetcher((options, callback) => callback(null, { statusCode: 200 }, body));
+    const request = new Request('pull_request', 'https://api.github.com/repos/test/repo/pulls/7');
+    return fetcher.get(request, 'token').then(response => {
+      expect(response.body.user).to.be.deep.equal({ id: 49699333, login: 'dependabot[bot]', url: 'https://api.github.com/users/dependabot%5Bbot%5D' });
+      expect(response.body.merged_by).to.be.null;
+    });
+  });
+
+  it('should answer 304 if the pull request has not changed since the given etag', () => {
+    const fetcher = createFetcher((options, callback) => callback(null, { statusCode: 200 }, createPullRequestBody()));
+    const request = new Request('pull_request', 'https://api.github.com/repos/test/repo/pulls/7');
+    return fetcher.get(request, 'token', 'W/"graphql:2017-07-14T01:00:00Z"').then(response => {
+      expect(response.statusCode).to.be.equal(304);
+      expect(response.body).to.be.null;
+    });
+  });
+
+  it('should track GraphQL rate limits separately from REST', () => {
+    const body = createPullRequestBody();
+    body.data.rateLimit = { cost: 1, remaining: 0, resetAt: new Date(Date.now() + 60000).toISOString() };
+    const fetcher = createFetcher((options, callback) => callback(null, { statusCode: 200 }, body));
+    const request = new Request('pull_request', 'https://api.github.com/repos/test/repo/pulls/7');
+    expect(fetcher.isExhausted('token')).to.be.false;
+    return fetcher.get(request, 'token').then(response => {
+      expect(response.headers['x-ratelimit-remaining']).to.be.undefined;
+      expect(fetcher.isExhausted('token')).to.be.true;
+      expect(fetcher.isExhausted('other')).to.be.false;
+    });
+  });
+
+  it('should answer null when the token is out of GraphQL points', () => {
+    const fetcher = createFetcher((options, callback) => {
+      callback(null, { statusCode: 200 }, { errors: [{ type: 'RATE_LIMITED', message: 'API rate limit exceeded' }] });
+    });
+    const request = new Request('pull_request', 'https://api.github.com/repos/test/repo/pulls/7');
+    return fetcher.get(request, 'token').then(response => {
+      expect(response).to.be.null;
+      expect(fetcher.isExhausted('token')).to.be.true;
+    });
+  });
+
+  it('should map NOT_FOUND errors to a 404', () => {
+    const fetcher = createFetcher((options, callback) => {
+      callback(null, { statusCode: 200 }, { data: { repository: null }, errors: [{ type: 'NOT_FOUND', message: 'nope' }] });
+    });
+    const request = new Request('pull_request', 'https://api.github.com/repos/test/repo/pulls/7');
+    return fetcher.get(request, 'token').then(response => {
+      expect(response.statusCode).to.be.equal(404);
+    });
+  });
+
+  it('should fail on other GraphQL errors', () => {
+    const fetcher = createFetcher((options, callback) => {
+      callback(null, { statusCode: 200 }, { errors: [{ message: 'bad query' }] });
+    });
+    const request = new Request('pull_request', 'https://api.github.com/repos/test/repo/pulls/7');
+    return fetcher.get(request, 'token').then(
+      () => expect.fail('should have failed'),
+      error => expect(error.message).to.include('bad query'));
+  });
+
+  it('should only fetch supported types', () => {
+    const fetcher = createFetcher();
+    expect(fetcher.canFetch('pull_request')).to.be.true;
+    expect(fetcher.canFetch('repo')).to.be.false;
+  });
+});
+
+function createFetcher(requestor = null) {
+  return new GraphQLFetcher(requestor, { logger: { info: () => { } } });
+}
+
+function createPullRequestBody() {
+  return {
+    data: {
+      rateLimit: { cost: 1, remaining: 4990, resetAt: '2017-07-14T02:40:00Z' },
+      repository: {
+        pullRequest: {
+          databaseId: 13,
+          number: 7,
+          state: 'OPEN',
+          merged: false,
+          updatedAt: '2017-07-14T01:00:00Z',
+          mergeable: 'MERGEABLE',
+          author: { __typename: 'User', login: 'monalisa', databaseId: 7 },
+          mergedBy: null,
+          assignees: { nodes: [{ login: 'hubot', databaseId: 8 }] },
+          baseRefName: 'master',
+          baseRefOid: 'def',
+          baseRepository: { databaseId: 4, nameWithOwner: 'test/repo' },
+          headRefName: 'topic',
+          headRefOid: 'abc',
+          headRepository: null,
+          labels: { nodes: [{ name: 'bug', color: 'fc2929', description: null }] },
+          comments: { totalCount: 2 },
+          reviews: {
+            totalCount: 1,
+            nodes: [{ databaseId: 21, body: 'looks good', state: 'APPROVED', submittedAt: '2017-07-14T00:00:00Z', commit: { oid: 'abc' }, author: { __typename: 'User', login: 'hubot', databaseId: 8 } }]
+          },
+          commits: { totalCount: 3, nodes: [] }
+        }
+      }
+    }
+  };
+}
@@ -12,6 +12,103 @@ describe('Request context/qualifier', () => {
   });
 });
 
+describe('Request policy resolution', () => {
+  it('will default the map to the request type', () => {
+    const request = new Request('repo', 'http://test');
+    request.policy = 'refresh';
+    request._resolvePolicy();
+    expect(request.policy.freshness).to.be.equal('match');
+    expect(request.policy.map.name).to.be.equal('repo');
+  });
+
+  it('will resolve numeric freshness', () => {
+    const request = new Request('repo', 'http://test');
+    request.policy = 'refresh:7';
+    request._resolvePolicy();
+    expect(request.policy.fetch).to.be.equal('mutables');
+    expect(request.policy.freshness).to.be.equal(7);
+    expect(request.policy.map.name).to.be.equal('repo');
+    expect(request.policy.getShortForm()).to.be.equal('m7');
+
+    const policy = TraversalPolicy.getPolicy('refresh:7:org@repos');
+    expect(policy.freshness).to.be.equal(7);
+    expect(policy.map.name).to.be.equal('org');
+    expect(policy.getCurrentStep()._type).to.be.equal('repo');
+  });
+
+  it('will judge staleness by processing time', () => {
+    const policy = TraversalPolicy.getPolicy('refresh:7:repo');
+    const daysAgo = days => { return { _metadata: { processedAt: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() } }; };
+    expect(policy.isStale(daysAgo(6))).to.be.false;
+    expect(policy.isStale(daysAgo(8))).to.be.true;
+    expect(policy.isStale({ _metadata: {} })).to.be.true;
+    expect(policy.shouldProcess({ contentOrigin: 'storage' })).to.be.false;
+    expect(policy.shouldProcess({ contentOrigin: 'cacheOfOrigin' })).to.be.true;
+  });
+
+  it('will resolve depth and page limits', () => {
+    const request = new Request('org', 'http://test');
+    request.policy = 'refresh:7:depth=2:pages=1';
+    request._resolvePolicy();
+    expect(request.policy.freshness).to.be.equal(7);
+    expect(request.policy.depth).to.be.equal(2);
+    expect(request.policy.pages).to.be.equal(1);
+    expect(request.policy.map.name).to.be.equal('org');
+    expect(request.policy.getShortForm()).to.be.equal('m7d2p1');
+    expect(request.policy.getPageLimit(5)).to.be.equal(1);
+
+    const next = request.policy.getNextPolicy('repos');
+    expect(next.depth).to.be.equal(1);
+    expect(next.pages).to.be.equal(1);
+    expect(next.isTooDeep()).to.be.false;
+    expect(next.getNextPolicy('issues').getNextPolicy('user').isTooDeep()).to.be.true;
+
+    const unlimited = TraversalPolicy.getPolicy('default:org@repos');
+    expect(unlimited.depth).to.be.null;
+    expect(unlimited.getPageLimit(5)).to.be.equal(5);
+    expect(unlimited.getNextPolicy('issues').isTooDeep()).to.be.false;
+    expect(unlimited.getShortForm()).to.be.equal('mM');
+  });
+
+  it('will resolve skipping unchanged collections', () => {
+    const policy = TraversalPolicy.getPolicy('refresh:depth=1:skipUnchanged:repo');
+    expect(policy.skipUnchanged).to.be.true;
+    expect(policy.depth).to.be.equal(1);
+    expect(policy.getShortForm()).to.be.equal('mMd1u');
+    expect(policy.getNextPolicy('issues').skipUnchanged).to.be.true;
+    expect(policy.getNextPolicy('issues').isSortedByUpdate({ type: 'issues' })).to.be.true;
+    expect(policy.getNextPolicy('issues').isSortedByUpdate({ type: 'issue_comments' })).to.be.false;
+    expect(TraversalPolicy.getPolicy('refresh:repo').skipUnchanged).to.be.false;
+  });
+
+  it('will carry limits when requeued', () => {
+    const request = new Request('org', 'http://test');
+    request.policy = TraversalPolicy.getPolicy('default:depth=1:pages=2:org');
+    const requeuable = Request.adopt(JSON.parse(JSON.stringify(request.createRequeuable())));
+    expect(requeuable.policy.depth).to.be.equal(1);
+    expect(requeuable.policy.pages).to.be.equal(2);
+    expect(requeuable.toUniqueString()).to.be.equal('org@http://test:mMd1p2');
+  });
+
+  it('will not queue requests beyond the depth limit', () => {
+    const request = new Request('org', 'http://test');
+    request.policy = TraversalPolicy.getPolicy('default:depth=0:org');
+    request.crawler = { queue: sinon.spy() };
+    const member = new Request('user', 'http://test/users/member');
+    member.policy = request.getNextPolicy('members');
+    request.queue('repos', 'http://test/repos', request.getNextPolicy('repos'));
+    request.queueRequests(member);
+    expect(request.crawler.queue.callCount).to.be.equal(0);
+
+    request.policy = TraversalPolicy.getPolicy('default:depth=1:org');
+    member.policy = request.getNextPolicy('members');
+    const unlimited = new Request('user', 'http://test/users/other');
+    unlimited.policy = TraversalPolicy.reprocessAlways('self');
+    request.queueRequests([member, unlimited]);
+    expect(request.crawler.queue.getCall(0).args[0].length).to.be.equal(2);
+  });
+});
+
 describe('Request link management', () => {
   it('will throw if no qualifier available', () => {
     const request = new Request('foo', 'http://test');
@@ -32,6 +129,16 @@ describe('Request link management', () => {
   });
 });
 
+describe('Request org', () => {
+  it('will find the org of repo, org and user urls', () => {
+    expect(new Request('repo', 'https://api.github.com/repos/Contoso/test').getOrg()).to.be.equal('contoso');
+    expect(new Request('org', 'https://api.github.com/orgs/contoso').getOrg()).to.be.equal('contoso');
+    expect(new Request('repos', 'https://api.github.com/users/contoso/repos?per_page=100').getOrg()).to.be.equal('contoso');
+    expect(new Request('repo', 'https://api.github.com/repositories/12').getOrg()).to.be.null;
+    expect(new Request('email_search', 'https://api.github.com/search/users?q=x').getOrg()).to.be.null;
+  });
+});
+
 describe('Request promise management', () => {
   it('will track single promises', () => {
     const request = new Request('test', 'http://test');
@@ -1,7 +1,9 @@
 // Copyright (c) Microsoft Corporation. All rights reserved.
 // Licensed under the MIT License.
 
+const crypto = require('crypto');
 const expect = require('chai').expect;
+const GitHubAppTokenFactory = require('../../providers/fetcher/githubAppTokenFactory');
 const TokenFactory = require('../../providers/fetcher/tokenFactory');
 
 describe('Token Factory', () => {
@@ -21,4 +23,160 @@ describe('Token Factory', () => {
     token = factory.getToken(['public']);
     expect(token).to.be.equal('2222');
   });
+
+  it('should prefer tokens scoped to the org', () => {
+    const factory = new TokenFactory('1111#admin,org:contoso;2222#admin;3333#public', {});
+    expect(factory.getToken([['admin']], 'Contoso')).to.be.equal('1111');
+    expect(factory.getToken(['admin'], 'contoso')).to.be.equal('1111');
+    expect(factory.getToken([['public']], 'contoso')).to.be.equal('3333');
+    expect(factory.getToken([['admin']], 'fabrikam')).to.be.oneOf(['1111', '2222']);
+
+    const until = Date.now() + 10000;
+    factory.exhaust('1111', until);
+    expect(factory.getToken([['admin']], 'contoso')).to.be.equal('2222');
+    factory.exhaust('2222', until + 10000);
+    expect(factory.getToken([['admin']], 'contoso')).to.be.equal(until);
+  });
+
+  it('should require tokens scoped to the org when configured', () => {
+    const factory = new TokenFactory('1111#admin,org:contoso;2222#admin;3333#public', { requiredOrgTokens: ['Contoso'] });
+    expect(factory.getToken([['public']], 'contoso')).to.be.null;
+    const until = Date.now() + 10000;
+    factory.exhaust('1111', until);
+    expect(factory.getToken([['admin']], 'contoso')).to.be.equal(until);
+    expect(factory.getToken([['admin']], 'fabrikam')).to.be.equal('2222');
+  });
+
+  it('should quarantine tokens that keep getting 401s', () => {
+    const factory = new TokenFactory('1111#admin;2222#admin', { quarantineThreshold: 2 });
+    expect(factory.recordOutcome('1111', 401)).to.be.false;
+    expect(factory.recordOutcome('1111', 200, 4000, 1000)).to.be.false;
+    expect(factory.recordOutcome('1111', 401)).to.be.false;
+    expect(factory.recordOutcome('1111', 401)).to.be.true;
+    expect(factory.recordOutcome('1111', 401)).to.be.false;
+
+    const token = factory.getAllTokens()[0];
+    expect(token.quarantinedAt).to.be.a('number');
+    expect(token.health).to.include({ uses: 5, lastStatus: 401, unauthorized: 3, remaining: 4000, reset: 1000 });
+    for (let i = 0; i < 10; i++) {
+      expect(factory.getToken(['admin'])).to.be.equal('2222');
+    }
+    factory.recordOutcome('2222', 401);
+    factory.recordOutcome('2222', 401);
+    expect(factory.getToken(['admin'])).to.be.null;
+  });
+
+  it('should skip type prefixes in token keys', () => {
+    expect(TokenFactory.getTokenKey('1234abcd')).to.be.equal('1234');
+    expect(TokenFactory.getTokenKey('ghs_5678abcd')).to.be.equal('5678');
+  });
+});
+
+describe('GitHub App Token Factory', () => {
+  it('should mint installation tokens with org traits', () => {
+    const calls = [];
+    const factory = createAppFactory(calls);
+    expect(typeof factory.getToken([['admin']])).to.be.equal('number');
+    return factory.refresh().then(() => {
+      const jwt = calls[0].headers.authorization.split(' ')[1];
+      const [header, payload, signature] = jwt.split('.');
+      expect(JSON.parse(Buffer.from(payload, 'base64').toString()).iss).to.be.equal(42);
+      const verified = crypto.createVerify('RSA-SHA256').update(`${header}.${payload}`).verify(publicKey, Buffer.from(signature, 'base64'));
+      expect(verified).to.be.true;
+      expect(calls.map(call => `${call.method} ${call.url}`)).to.be.deep.equal([
+        'GET https://api.github.com/app/installations?per_page=100',
+        'POST https://api.github.com/app/installations/1/access_tokens',
+        'POST https://api.github.com/app/installations/2/access_tokens'
+      ]);
+      expect(factory.getToken([['org:contoso']])).to.be.equal('ghs_contoso1');
+      expect(factory.getToken([['org:fabrikam']])).to.be.equal('ghs_fabrikam1');
+      expect(factory.getToken([['admin', 'org:fabrikam']])).to.be.null;
+      expect(factory.getToken([['admin', 'org:contoso']])).to.be.equal('ghs_contoso1');
+      factory.stop();
+    });
+  });
+
+  it('should only hand out installation tokens for their own org', () => {
+    const factory = createAppFactory();
+    factory.setTokens('1111#public');
+    return factory.refresh().then(() => {
+      expect(factory.getToken([['admin']])).to.be.null;
+      expect(factory.getToken([['admin']], 'contoso')).to.be.equal('ghs_contoso1');
+      expect(factory.getToken([['admin']], 'northwind')).to.be.null;
+      for (let i = 0; i < 10; i++) {
+        expect(factory.getToken([['public']], 'northwind')).to.be.equal('1111');
+        expect(factory.getToken([[]])).to.be.equal('1111');
+      }
+      factory.stop();
+    });
+  });
+
+  it('should get every page of installations', () => {
+    const calls = [];
+    const pages = {
+      'https://api.github.com/app/installations?per_page=100': {
+        headers: { link: '<https://api.github.com/app/installations?per_page=100&page=2>; rel="next", <https://api.github.com/app/installations?per_page=100&page=2>; rel="last"' },
+        body: [{ id: 1, account: { login: 'Contoso' } }]
+      },
+      'https://api.github.com/app/installations?per_page=100&page=2': {
+        headers: {},
+        body: [{ id: 2, account: { login: 'fabrikam' } }]
+      }
+    };
+    const factory = createAppFactory(calls, 60 * 60 * 1000, pages);
+    return factory.refresh().then(tokens => {
+      expect(calls.filter(call => call.method === 'GET').map(call => call.url)).to.be.deep.equal(Object.keys(pages));
+      expect(tokens.map(token => token.installation)).to.be.deep.equal([1, 2]);
+      factory.stop();
+    });
+  });
+
+  it('should keep benched installations benched across refresh', () => {
+    const factory = createAppFactory();
+    return factory.refresh().then(() => {
+      const until = Date.now() + 10000;
+      factory.exhaust('ghs_contoso1', until);
+      return factory.refresh();
+    }).then(() => {
+      expect(factory.getToken([['org:contoso']])).to.be.a('number');
+      // in flight requests exhausting the old value bench the current token
+      factory.exhaust('ghs_fabrikam1', Date.now() + 10000);
+      expect(factory.getToken([['org:fabrikam']])).to.be.a('number');
+      factory.stop();
+    });
+  });
+
+  it('should not hand out expired tokens', () => {
+    const factory = createAppFactory([], -1000);
+    return factory.refresh().then(() => {
+      expect(factory.getToken([['org:contoso']])).to.be.a('number');
+      factory.stop();
+    });
+  });
 });
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+function createAppFactory(calls = [], expiresIn = 60 * 60 * 1000, pages = null) {
+  const counts = {};
+  const requestor = (options, callback) => {
+    calls.push(options);
+    if (options.method === 'GET' && pages) {
+      const page = pages[options.url];
+      return callback(null, { statusCode: 200, headers: page.headers }, page.body);
+    }
+    if (options.method === 'GET') {
+      return callback(null, { statusCode: 200 }, [{ id: 1, account: { login: 'Contoso' } }, { id: 2, account: { login: 'fabrikam' } }]);
+    }
+    const login = options.url.includes('/1/') ? 'contoso' : 'fabrikam';
+    counts[login] = (counts[login] || 0) + 1;
+    const expires = new Date(Date.now() + expiresIn).toISOString();
+    callback(null, { statusCode: 201 }, { token: `ghs_${login}${counts[login]}`, expires_at: expires });
+  };
+  const options = { logger: { info: () => { }, error: () => { } }, appInstallationTraits: { fabrikam: ['public'] } };
+  return new GitHubAppTokenFactory(42, privateKey, requestor, null, options);
+}
@@ -0,0 +1,178 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const expect = require('chai').expect;
+const GitHubProcessor = require('../../providers/fetcher/githubProcessor');
+const Q = require('q');
+const Request = require('../../lib/request');
+const sinon = require('sinon');
+const TraversalPlanner = require('../../lib/traversalPlanner');
+const TraversalPolicy = require('../../lib/traversalPolicy');
+const VisitorMap = require('../../lib/visitorMap');
+
+describe('Traversal planner', () => {
+  afterEach(() => VisitorMap.registerScenarios({}));
+
+  it('should explain the walk of a map', () => {
+    VisitorMap.registerScenarios({
+      plan: {
+        repo: { _type: 'repo', owner: 'self', collaborators: [], issues: { _type: 'issue', user: 'self', repo: 'self' } }
+      }
+    });
+    const planner = new TraversalPlanner();
+    const tree = planner.explain(TraversalPolicy.getPolicy('default:plan/repo'));
+    expect(tree).to.be.deep.equal({
+      name: 'plan/repo',
+      type: 'repo',
+      walk: 'entity',
+      children: [
+        { name: 'owner', walk: 'self' },
+        { name: 'collaborators', walk: 'pages' },
+        {
+          name: 'issues', type: 'issue', walk: 'entity', children: [
+            { name: 'user', walk: 'self' },
+            { name: 'repo', walk: 'self' }
+          ]
+        }
+      ]
+    });
+  });
+
+  it('should explain the depth and page limits of a policy', () => {
+    VisitorMap.registerScenarios({
+      plan: {
+        repo: { _type: 'repo', owner: 'self', issues: { _type: 'issue', user: 'self', issue_comments: { _type: 'issue_comment', user: 'self' } } }
+      }
+    });
+    const planner = new TraversalPlanner();
+    const tree = planner.explain(TraversalPolicy.getPolicy('default:depth=1:pages=2:plan/repo'));
+    expect(tree).to.be.deep.equal({
+      name: 'plan/repo',
+      type: 'repo',
+      walk: 'entity',
+      depth: 1,
+      pages: 2,
+      children: [
+        { name: 'owner', walk: 'self' },
+        { name: 'issues', type: 'issue', walk: 'self' }
+      ]
+    });
+  });
+
+  it('should only expand shared nodes once', () => {
+    const planner = new TraversalPlanner();
+    const tree = planner.explain(TraversalPolicy.getPolicy('default:repo'));
+    const issues = tree.children.find(child => child.name === 'issues');
+    const pullRequest = issues.children.find(child => child.name === 'pull_request');
+    expect(pullRequest.walk).to.be.equal('entity');
+    const issue = pullRequest.children.find(child => child.name === 'issue');
+    expect(issue.walk).to.be.equal('self');
+    expect(JSON.stringify(tree).length).to.be.below(100000);
+  });
+
+  it('should estimate the cost of a crawl from the store', () => {
+    VisitorMap.registerScenarios({
+      plan: {
+        repo: { _type: 'repo', owner: 'self', issues: { _type: 'issue', user: 'self' } }
+      }
+    });
+    const documents = {
+      'http://test.com/repos/test/repo': {
+        id: 4, url: 'http://test.com/repos/test/repo', owner: { id: 3, url: 'http://test.com/users/test' },
+        issues_url: 'http://test.com/repos/test/repo/issues{/number}',
+        collaborators_url: 'http://test.com/repos/test/repo/collaborators{/collaborator}',
+        commits_url: 'http://test.com/repos/test/repo/commits{/sha}',
+        releases_url: 'http://test.com/repos/test/repo/releases{/id}',
+        labels_url: 'http://test.com/repos/test/repo/labels{/name}',
+        milestones_url: 'http://test.com/repos/test/repo/milestones{/number}',
+        branches_url: 'http://test.com/repos/test/repo/branches{/branch}',
+        languages_url: 'http://test.com/repos/test/repo/languages',
+        _metadata: {}
+      },
+      'http://test.com/repos/test/repo/issues?state=all': {
+        elements: [{ id: 7, url: 'http://test.com/repos/test/repo/issues/1' }],
+        _metadata: { headers: { link: '<http://test.com/repos/test/repo/issues?state=all&page=2>; rel="last"' } }
+      },
+      'http://test.com/repos/test/repo/issues/1': {
+        id: 7, url: 'http://test.com/repos/test/repo/issues/1', user: { id: 3, url: 'http://test.com/users/test' },
+        assignees: [], labels: [], comments: 0, _metadata: {}
+      }
+    };
+    const store = { get: (type, url) => Q(documents[url] ? JSON.parse(JSON.stringify(documents[url])) : null) };
+    const planner = new TraversalPlanner(store, new GitHubProcessor());
+    const request = new Request('repo', 'http://test.com/repos/test/repo');
+    request.policy = TraversalPolicy.getPolicy('default:plan/repo');
+
+    return planner.estimate(request).then(estimate => {
+      expect(estimate.types).to.be.deep.equal({ repo: 1, user: 1, issues: 2, issue: 1 });
+      expect(estimate.requests).to.be.equal(5);
+      expect(estimate.apiCalls).to.be.equal(5);
+      expect(estimate.stored).to.be.equal(3);
+      expect(estimate.missing).to.be.equal(2);
+      expect(estimate.errors).to.be.equal(0);
+      expect(estimate.truncated).to.be.false;
+    });
+  });
+
+  it('should not write to the store', () => {
+    const url = 'http://test.com/repos/test/repo/issues?state=all';
+    const documents = {
+      [url]: {
+        elements: [{ id: 7, url: 'http://test.com/repos/test/repo/issues/1' }],
+        _metadata: { crawledAt: '2017-01-01T00:00:00.000Z', headers: { link: `<${url}&page=2>; rel="last"` } }
+      },
+      [`${url}&page=2&per_page=100`]: {
+        elements: [{ id: 8, url: 'http://test.com/repos/test/repo/issues/2' }],
+        _metadata: {}
+      }
+    };
+    const store = {
+      get: (type, key) => Q(documents[key] ? JSON.parse(JSON.stringify(documents[key])) : null),
+      upsert: sinon.spy(() => Q()),
+      delete: sinon.spy(() => Q())
+    };
+    const planner = new TraversalPlanner(store, new GitHubProcessor(store));
+    const request = new Request('issues', url, { qualifier: 'urn:repo:4', elementType: 'issue' });
+    request.policy = TraversalPolicy.getPolicy('default:repo@issues');
+
+    return planner.estimate(request).then(estimate => Q.delay(10).then(() => {
+      expect(estimate.types.issues).to.be.equal(2);
+      expect(store.upsert.callCount).to.be.equal(0);
+      expect(store.delete.callCount).to.be.equal(0);
+    }));
+  });
+
+  it('should stop estimating at the request limit', () => {
+    const store = { get: () => Q({ id: 4, url: 'http://test.com/repos/test/repo', owner: { id: 3, url: 'http://test.com/users/test' }, _metadata: {} }) };
+    const planner = new TraversalPlanner(store, new GitHubProcessor());
+    const request = new Request('repo', 'http://test.com/repos/test/repo');
+    request.policy = TraversalPolicy.getPolicy('default:repo');
+    return planner.estimate(request, 1).then(estimate => {
+      expect(estimate.requests).to.be.equal(1);
+      expect(estimate.truncated).to.be.true;
+    });
+  });
+
+  it('should cap the request limit at the configured maximum', () => {
+    const store = { get: () => Q({ id: 4, url: 'http://test.com/repos/test/repo', owner: { id: 3, url: 'http://test.com/users/test' }, _metadata: {} }) };
+    const planner = new TraversalPlanner(store, new GitHubProcessor(), { maxRequests: 1 });
+    const request = new Request('repo', 'http://test.com/repos/test/repo');
+    request.policy = TraversalPolicy.getPolicy('default:repo');
+    return planner.estimate(request, 1000).then(estimate => {
+      expect(estimate.requests).to.be.equal(1);
+      expect(estimate.truncated).to.be.true;
+    });
+  });
+
+  it('should reject invalid request limits', () => {
+    const planner = new TraversalPlanner({}, new GitHubProcessor());
+    const request = new Request('repo', 'http://test.com/repos/test/repo');
+    request.policy = TraversalPolicy.getPolicy('default:repo');
+    return Q.allSettled([NaN, 0, -3, 2.5, '10'].map(limit => planner.estimate(request, limit))).then(results => {
+      results.forEach(result => {
+        expect(result.state).to.be.equal('rejected');
+        expect(result.reason.message).to.match(/maxRequests must be a positive integer/);
+      });
+    });
+  });
+});
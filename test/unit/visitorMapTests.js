@@ -4,6 +4,7 @@
 const assert = require('chai').assert;
 const expect = require('chai').expect;
 const sinon = require('sinon');
+const TraversalPolicy = require('../../lib/traversalPolicy');
 const VisitorMap = require('../../lib/visitorMap');
 
 describe('Visitor Map', () => {
@@ -32,6 +33,65 @@ describe('Visitor Map', () => {
     expect(node).to.be.undefined;
   });
 
+  it('will not walk forks by default', () => {
+    const map = new VisitorMap('repo');
+    expect(map.hasNextStep('forks')).to.be.false;
+  });
+
+  it('will walk forks to the default depth', () => {
+    const map = new VisitorMap('forks/repo', '/forks/forks');
+    expect(map.getCurrentStep()._type).to.be.equal('repo');
+    expect(map.hasNextStep('forks')).to.be.false;
+  });
+
+  it('will walk forks to a given depth', () => {
+    const map = new VisitorMap('forks-3/repo', '/forks/forks/forks');
+    expect(map.getCurrentStep()._type).to.be.equal('repo');
+    expect(map.hasNextStep('parent')).to.be.true;
+    expect(map.hasNextStep('forks')).to.be.false;
+  });
+
+  it('will reject an invalid fork depth', () => {
+    expect(() => new VisitorMap('forks-x/repo').getCurrentStep()).to.throw(Error);
+  });
+
+  describe('user-defined scenarios', () => {
+    afterEach(() => VisitorMap.registerScenarios({}));
+
+    it('will walk a registered scenario', () => {
+      VisitorMap.registerScenarios({
+        triage: {
+          repo: { _type: 'repo', owner: 'self', issues: { _type: 'issue', assignee: 'self', issue_comments: [] }, pull_requests: 'pull_request' }
+        }
+      });
+      const policy = TraversalPolicy.getPolicy('refresh:triage/repo@/issues');
+      expect(policy.getCurrentStep()._type).to.be.equal('issue');
+      expect(policy.map.hasNextStep('assignee')).to.be.true;
+      expect(policy.map.hasNextStep('comments')).to.be.false;
+      expect(policy.getNextPolicy('issue_comments').map.hasNextStep()).to.be.false;
+      const pullRequests = new VisitorMap('triage/repo', '/pull_requests');
+      expect(pullRequests.getCurrentStep()._type).to.be.equal('pull_request');
+      expect(pullRequests.hasNextStep('reviews')).to.be.true;
+    });
+
+    it('will replace previously registered scenarios', () => {
+      VisitorMap.registerScenarios({ first: { repo: 'self' } });
+      VisitorMap.registerScenarios({ second: { repo: 'self' } });
+      expect(() => new VisitorMap('first/repo').getCurrentStep()).to.throw(Error);
+      expect(new VisitorMap('second/repo').hasNextStep()).to.be.false;
+    });
+
+    it('will reject invalid scenarios', () => {
+      expect(() => VisitorMap.registerScenarios({ bad: { widget: 'self' } })).to.throw(/Unknown entity type widget/);
+      expect(() => VisitorMap.registerScenarios({ bad: { repo: { _type: 'repo', issues: 'widget' } } })).to.throw(/bad\/repo\/issues/);
+      expect(() => VisitorMap.registerScenarios({ bad: { repo: { issues: 'self' } } })).to.throw(/_type/);
+      expect(() => VisitorMap.registerScenarios({ bad: { repo: { _type: 'repo', issues: 42 } } })).to.throw(/Invalid map node/);
+      expect(() => VisitorMap.registerScenarios({ bad: { repo: { _type: 'repo', isues: 'self' } } })).to.throw(/Unknown reference isues for entity type repo at bad\/repo\/isues/);
+      expect(() => VisitorMap.registerScenarios({ bad: { org: { _type: 'org', repos: { _type: 'repo', issues: { _type: 'issue', asignees: 'self' } } } } })).to.throw(/asignees/);
+      expect(() => VisitorMap.registerScenarios({ default: { repo: 'self' } })).to.throw(/built-in/);
+      expect(() => VisitorMap.registerScenarios({ 'my-scenario': { repo: 'self' } })).to.throw(/Invalid scenario name/);
+    });
+  });
 
   // it('will get next for collection', () => {
   //   const map = new VisitorMap('org');